@@ -0,0 +1,49 @@
+/*
+  Flip Spider - local two-player race: two games side by side on the same seed.
+  Player 1 throws webs with Space, player 2 with Enter (or gamepads 1 and 2); P / Esc pauses both.
+*/
+
+import { FlipSpider } from "./src/flipspider.js";
+import { randomSeed, parseSeed } from "./src/util.js";
+
+const params = new URLSearchParams(window.location.search);
+// Same seed = same buildings on both boards; ?seed= replays a rematch
+const seed = parseSeed(params.get("seed")) ?? randomSeed();
+const status = document.getElementById("status");
+
+// Both games read the page keyboard, each with its own action key.
+// The seed prompt is off: the race seed is fixed for both. Only player 1
+// answers the mute key, since player 2 is silent anyway.
+const players = [
+  { canvas: document.getElementById("player1"), action: "Space", muted: false },
+  { canvas: document.getElementById("player2"), action: "Enter", muted: true }, // one soundtrack is enough
+];
+const results = [null, null];
+// Arrow / Tab focus would move on both boards at once, and Enter is player 2's
+// web, so menus are pointer-only here. Gamepads still navigate their own board.
+const noFocusKeys = { up: [], down: [], left: [], right: [], next: [], select: [] };
+
+players.forEach((p, i) => {
+  const game = FlipSpider.create(p.canvas, {
+    seed,
+    muted: p.muted,
+    keyTarget: window,
+    keys: { action: [p.action], seed: [], ...noFocusKeys, ...(p.muted && { mute: [] }) },
+    gamepad: i,
+    clips: false, // recording two boards at once is too heavy for most machines
+  });
+  game.on("gameOver", (run) => {
+    if (run.replay) return;
+    results[i] = run.score;
+    const other = results[1 - i];
+    if (other === null) {
+      status.textContent = `Player ${i + 1} is down with ${run.score}. Keep going, Player ${2 - i}!`;
+      return;
+    }
+    const [a, b] = results;
+    status.textContent =
+      a === b ? `Tie at ${a}! Seed ${seed}` : `Player ${a > b ? 1 : 2} wins, ${Math.max(a, b)} to ${Math.min(a, b)}. Seed ${seed}`;
+    results[0] = results[1] = null;
+  });
+});
+status.textContent = `Race on seed ${seed}. Press your key to start.`;
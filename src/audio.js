@@ -0,0 +1,492 @@
+/*
+  Flip Spider - Web Audio: MIDI-like punk-ish bgm + sfx. Original riff, not from any song.
+*/
+
+import { generateSong, songStep, STEPS_PER_BAR } from "./music.js";
+
+// Look-ahead sequencing: a coarse timer wakes every LOOKAHEAD_MS and queues
+// every step that starts within SCHEDULE_AHEAD_SEC on the audio clock, so a
+// busy main thread delays the timer but not the notes
+const LOOKAHEAD_MS = 25;
+const SCHEDULE_AHEAD_SEC = 0.12;
+const MAX_SCHEDULED = 32; // queued steps remembered for beatInfo()
+
+const EXPORT_SAMPLE_RATE = 44100;
+const SFX_SECONDS = 0.5; // long enough for the longest effect's tail
+
+export function createAudio() {
+  return {
+    ctx: null,
+    masterGain: null,
+    musicGain: null,
+    sfxGain: null,
+    streamDest: null, // MediaStream tap for clips, made on first captureStream()
+    started: false,
+    offline: false, // rendering into an OfflineAudioContext (renderOffline)
+    muted: false,
+    musicVolume: 0.5, // settings sliders, 0..1
+    sfxVolume: 0.8,
+    musicTimer: null, // look-ahead scheduler interval
+    musicPaused: false, // sequencer halted by pauseMusic()
+    nextStepTime: 0, // audio-clock time of the next unscheduled step
+    scheduled: [], // recent steps: {step, bar, time, duration}
+    // chord (power-chord) oscs
+    chordOscs: [],
+    chordGain: null,
+    // optional lead
+    leadOsc: null,
+    leadGain: null,
+    // noise buffer for simple drums
+    noiseBuffer: null,
+    currentStep: 0,
+    tempo: 170,
+    // Procedural song (music.js) and how many layers play
+    song: generateSong(0),
+    intensity: 0,
+    pendingSong: null, // {song, tempo} waiting for the next bar line
+    pendingIntensity: null,
+    init() {
+      if (this.ctx) return;
+      try {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        this.ctx = new Ctx();
+        this.buildGraph();
+      } catch (e) {
+        // Audio not available
+      }
+    },
+    // Master / music / sfx gains and the drum noise on this.ctx
+    buildGraph() {
+      this.masterGain = this.ctx.createGain();
+      this.masterGain.gain.value = this.muted ? 0 : 0.6;
+      this.masterGain.connect(this.ctx.destination);
+
+      this.musicGain = this.ctx.createGain();
+      this.musicGain.gain.value = this.musicVolume * 0.4; // low background volume
+      this.musicGain.connect(this.masterGain);
+
+      this.sfxGain = this.ctx.createGain();
+      this.sfxGain.gain.value = this.sfxVolume;
+      this.sfxGain.connect(this.masterGain);
+
+      // pre-generate white noise buffer for drums
+      const len = this.ctx.sampleRate * 1.0;
+      const buf = this.ctx.createBuffer(1, len, this.ctx.sampleRate);
+      const data = buf.getChannelData(0);
+      for (let i = 0; i < len; i++) data[i] = Math.random() * 2 - 1;
+      this.noiseBuffer = buf;
+    },
+    setMuted(muted) {
+      this.muted = muted;
+      if (this.masterGain) this.masterGain.gain.value = muted ? 0 : 0.6;
+    },
+    setVolumes(music, sfx) {
+      this.musicVolume = music;
+      this.sfxVolume = sfx;
+      if (this.musicGain) this.musicGain.gain.value = music * 0.4;
+      if (this.sfxGain) this.sfxGain.gain.value = sfx;
+    },
+    // Dip the music under the crash; startMusic brings it back up
+    duckMusic() {
+      if (!this.musicGain) return;
+      try {
+        const g = this.musicGain.gain;
+        const t = this.ctx.currentTime;
+        g.cancelScheduledValues(t);
+        g.setValueAtTime(g.value, t);
+        g.linearRampToValueAtTime(this.musicVolume * 0.4 * 0.2, t + 0.25);
+      } catch {}
+    },
+    // Everything the game plays, as a MediaStream for clip recording (null without Web Audio)
+    captureStream() {
+      if (!this.ctx || !this.ctx.createMediaStreamDestination) return null;
+      if (!this.streamDest) {
+        this.streamDest = this.ctx.createMediaStreamDestination();
+        this.masterGain.connect(this.streamDest);
+      }
+      return this.streamDest.stream;
+    },
+    // Tear down the whole graph (the game instance is going away)
+    close() {
+      this.stopMusic();
+      if (!this.ctx) return;
+      try {
+        this.ctx.close();
+      } catch {}
+      this.ctx = null;
+    },
+    ensureRunning() {
+      if (!this.ctx || this.offline) return;
+      if (this.ctx.state === "suspended") this.ctx.resume();
+    },
+    startMusic() {
+      if (!this.ctx || this.musicTimer) return;
+      this.ensureRunning();
+      const ctx = this.ctx;
+      try {
+        this.musicGain.gain.cancelScheduledValues(ctx.currentTime); // undo a duck
+        this.musicGain.gain.value = this.musicVolume * 0.4;
+      } catch {}
+      this.createVoices();
+      this.currentStep = 0;
+      this.scheduled = [];
+      this.applyPending();
+      this.nextStepTime = ctx.currentTime + 0.05;
+      this.schedule();
+      this.startScheduler();
+    },
+    // Chord stack and lead oscillators, silent until steps are scheduled
+    createVoices() {
+      const ctx = this.ctx;
+      // Chord power-chord stack: root, fifth, octave (detuned squares)
+      this.chordGain = ctx.createGain();
+      this.chordGain.gain.value = 0.0; // envelope each step
+      this.chordGain.connect(this.musicGain);
+      const mkOsc = (type = "square") => {
+        const o = ctx.createOscillator();
+        const g = ctx.createGain();
+        g.gain.value = 0.25;
+        o.type = type;
+        o.connect(g).connect(this.chordGain);
+        o.start();
+        return o;
+      };
+      this.chordOscs = [mkOsc("square"), mkOsc("square"), mkOsc("square")];
+      // Optional soft lead for texture
+      this.leadOsc = ctx.createOscillator();
+      this.leadGain = ctx.createGain();
+      this.leadOsc.type = "triangle";
+      this.leadGain.gain.value = 0;
+      this.leadOsc.connect(this.leadGain).connect(this.musicGain);
+      this.leadOsc.start();
+    },
+    startScheduler() {
+      this.musicTimer = setInterval(() => this.schedule(), LOOKAHEAD_MS);
+    },
+    // Eighth notes at the current tempo
+    stepSeconds() {
+      return 60 / this.tempo / 2;
+    },
+    schedule() {
+      if (!this.ctx) return;
+      const now = this.ctx.currentTime;
+      // Fell behind (tab in the background, long stall): skip the missed
+      // steps rather than firing them all at once
+      if (this.nextStepTime < now) {
+        const missed = Math.ceil((now - this.nextStepTime) / this.stepSeconds());
+        const bar = Math.floor(this.currentStep / STEPS_PER_BAR);
+        this.currentStep += missed;
+        this.nextStepTime = now;
+        // A skipped bar line still brings in what was waiting for it
+        if (Math.floor(this.currentStep / STEPS_PER_BAR) > bar) this.applyPending();
+      }
+      while (this.nextStepTime < now + SCHEDULE_AHEAD_SEC) {
+        this.scheduleStep(this.nextStepTime);
+        this.nextStepTime += this.stepSeconds();
+      }
+    },
+    // Queue one step's notes at audio time t
+    scheduleStep(t) {
+      // A new phase's song, its tempo and added layers all wait for a bar line
+      if (this.currentStep % STEPS_PER_BAR === 0) this.applyPending();
+      const stepSec = this.stepSeconds();
+      const s = songStep(this.song, this.currentStep, this.intensity);
+      const [o1, o2, o3] = this.chordOscs;
+      try {
+        o1.frequency.setTargetAtTime(s.chord[0], t, 0.01);
+        o2.frequency.setTargetAtTime(s.chord[1], t, 0.01);
+        o3.frequency.setTargetAtTime(s.chord[2], t, 0.01);
+      } catch {}
+      // palm-mute envelope
+      try {
+        this.chordGain.gain.setValueAtTime(0.0, t);
+        this.chordGain.gain.linearRampToValueAtTime(0.08, t + 0.01);
+        this.chordGain.gain.linearRampToValueAtTime(0.02, t + stepSec * 0.7);
+      } catch {}
+
+      if (s.hat) this.playHat(t);
+      if (s.snare) this.playSnare(t);
+      if (s.kick) this.playKick(t);
+
+      // soft lead float, once the intensity brings it in
+      try {
+        this.leadGain.gain.setTargetAtTime(this.intensity >= 2 ? 0.03 : 0, t, 0.05);
+        if (s.lead) this.leadOsc.frequency.setTargetAtTime(s.lead, t, 0.02);
+      } catch {}
+
+      this.scheduled.push({ step: this.currentStep, time: t, duration: stepSec });
+      if (this.scheduled.length > MAX_SCHEDULED) this.scheduled.shift();
+      this.currentStep++;
+    },
+    // Song for the next bar (or the next startMusic); tempo in quarter notes per minute
+    setSong(song, tempo) {
+      this.pendingSong = { song, tempo };
+    },
+    // intensity: 0..3, see music.js; takes effect on the next bar
+    setIntensity(level) {
+      this.pendingIntensity = level;
+    },
+    // Change speed mid-song: steps not yet queued use the new tempo, as does
+    // a song still waiting for its bar line
+    setTempo(bpm) {
+      this.tempo = bpm;
+      if (this.pendingSong) this.pendingSong.tempo = bpm;
+    },
+    applyPending() {
+      if (this.pendingSong) {
+        this.song = this.pendingSong.song;
+        this.tempo = this.pendingSong.tempo;
+        this.pendingSong = null;
+        this.currentStep = 0;
+      }
+      if (this.pendingIntensity !== null) {
+        this.intensity = this.pendingIntensity;
+        this.pendingIntensity = null;
+      }
+    },
+    // The step sounding now, for syncing visuals to the music:
+    // {step, beat (quarter note in the bar, 0..3), bar, progress (0..1 through
+    // the beat)}, or null when no music is playing
+    beatInfo() {
+      if (!this.ctx || !this.musicTimer) return null;
+      const now = this.ctx.currentTime;
+      for (let i = this.scheduled.length - 1; i >= 0; i--) {
+        const e = this.scheduled[i];
+        if (e.time > now) continue;
+        const inBar = e.step % STEPS_PER_BAR;
+        const half = inBar % 2; // second eighth of the beat
+        const into = Math.min(1, (now - e.time) / e.duration);
+        return {
+          step: e.step,
+          beat: Math.floor(inBar / 2),
+          bar: Math.floor(e.step / STEPS_PER_BAR),
+          progress: (half + into) / 2,
+        };
+      }
+      return null;
+    },
+    // Halt the sequencer and suspend the context, keeping the song position
+    pauseMusic() {
+      if (!this.ctx) return;
+      if (this.musicTimer) {
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+        this.musicPaused = true;
+      }
+      if (this.ctx.state === "running") this.ctx.suspend();
+    },
+    resumeMusic() {
+      if (!this.ctx) return;
+      this.ensureRunning();
+      if (this.musicPaused) {
+        this.musicPaused = false;
+        // The suspended clock stood still, so the queue picks up where it was
+        this.startScheduler();
+      }
+    },
+    stopMusic() {
+      if (!this.ctx) return;
+      if (this.musicTimer) {
+        clearInterval(this.musicTimer);
+        this.musicTimer = null;
+      }
+      this.musicPaused = false;
+      this.scheduled = [];
+      const ctx = this.ctx;
+      const stopOsc = (osc) => {
+        if (!osc) return;
+        try {
+          const t = ctx.currentTime;
+          osc.stop(t + 0.05);
+        } catch {}
+      };
+      stopOsc(this.leadOsc);
+      this.leadOsc = null;
+      if (this.chordOscs) {
+        this.chordOscs.forEach(stopOsc);
+        this.chordOscs = [];
+      }
+      this.chordGain = null;
+    },
+    playHit() {
+      if (!this.ctx) return;
+      this.ensureRunning();
+      const ctx = this.ctx;
+      const osc = ctx.createOscillator();
+      const gain = ctx.createGain();
+      osc.type = "sawtooth";
+      osc.connect(gain).connect(this.sfxGain);
+      const t = ctx.currentTime;
+      osc.frequency.setValueAtTime(360, t);
+      osc.frequency.exponentialRampToValueAtTime(70, t + 0.25);
+      gain.gain.setValueAtTime(0.0001, t);
+      gain.gain.exponentialRampToValueAtTime(0.6, t + 0.02);
+      gain.gain.exponentialRampToValueAtTime(0.0001, t + 0.28);
+      osc.start(t);
+      osc.stop(t + 0.32);
+    },
+    playHat(t) {
+      if (!this.ctx || !this.noiseBuffer) return;
+      const ctx = this.ctx;
+      const src = ctx.createBufferSource();
+      src.buffer = this.noiseBuffer;
+      const hp = ctx.createBiquadFilter();
+      hp.type = "highpass";
+      hp.frequency.value = 8000;
+      const g = ctx.createGain();
+      g.gain.value = 0.10;
+      src.connect(hp).connect(g).connect(this.musicGain);
+      src.start(t);
+      src.stop(t + 0.03);
+    },
+    playSnare(t) {
+      if (!this.ctx || !this.noiseBuffer) return;
+      const ctx = this.ctx;
+      const src = ctx.createBufferSource();
+      src.buffer = this.noiseBuffer;
+      const bp = ctx.createBiquadFilter();
+      bp.type = "bandpass";
+      bp.frequency.value = 1800;
+      bp.Q.value = 0.5;
+      const g = ctx.createGain();
+      g.gain.value = 0.12;
+      src.connect(bp).connect(g).connect(this.musicGain);
+      src.start(t);
+      src.stop(t + 0.08);
+    },
+    playKick(t) {
+      if (!this.ctx) return;
+      const ctx = this.ctx;
+      const o = ctx.createOscillator();
+      const g = ctx.createGain();
+      o.type = "sine";
+      o.connect(g).connect(this.musicGain);
+      o.frequency.setValueAtTime(120, t);
+      o.frequency.exponentialRampToValueAtTime(50, t + 0.09);
+      g.gain.setValueAtTime(0.2, t);
+      g.gain.exponentialRampToValueAtTime(0.0001, t + 0.1);
+      o.start(t);
+      o.stop(t + 0.12);
+    },
+    // Dull sputter for a failed throw: low noise puff + falling blip
+    playFizzle() {
+      if (!this.ctx || !this.noiseBuffer) return;
+      this.ensureRunning();
+      const ctx = this.ctx;
+      const t = ctx.currentTime;
+      const noiseSrc = ctx.createBufferSource();
+      noiseSrc.buffer = this.noiseBuffer;
+      const lp = ctx.createBiquadFilter();
+      lp.type = "lowpass";
+      lp.frequency.value = 900;
+      const ng = ctx.createGain();
+      ng.gain.setValueAtTime(0.0001, t);
+      ng.gain.exponentialRampToValueAtTime(0.25, t + 0.01);
+      ng.gain.exponentialRampToValueAtTime(0.0001, t + 0.14);
+      noiseSrc.connect(lp).connect(ng).connect(this.sfxGain);
+      noiseSrc.start(t);
+      noiseSrc.stop(t + 0.15);
+
+      const osc = ctx.createOscillator();
+      const og = ctx.createGain();
+      osc.type = "square";
+      osc.frequency.setValueAtTime(320, t);
+      osc.frequency.exponentialRampToValueAtTime(120, t + 0.1);
+      og.gain.setValueAtTime(0.05, t);
+      og.gain.exponentialRampToValueAtTime(0.0001, t + 0.11);
+      osc.connect(og).connect(this.sfxGain);
+      osc.start(t);
+      osc.stop(t + 0.12);
+    },
+    // Bright two-note chime; pitch differs per power-up type
+    playPickup(type) {
+      if (!this.ctx) return;
+      this.ensureRunning();
+      const ctx = this.ctx;
+      const t = ctx.currentTime;
+      const base = { shield: 660, slow: 440, double: 880, ghost: 550 }[type] || 660;
+      [base, base * 1.5].forEach((f, i) => {
+        const osc = ctx.createOscillator();
+        const g = ctx.createGain();
+        osc.type = "triangle";
+        osc.frequency.setValueAtTime(f, t + i * 0.07);
+        g.gain.setValueAtTime(0.0001, t + i * 0.07);
+        g.gain.exponentialRampToValueAtTime(0.18, t + i * 0.07 + 0.01);
+        g.gain.exponentialRampToValueAtTime(0.0001, t + i * 0.07 + 0.16);
+        osc.connect(g).connect(this.sfxGain);
+        osc.start(t + i * 0.07);
+        osc.stop(t + i * 0.07 + 0.18);
+      });
+    },
+    playWeb() {
+      if (!this.ctx) return;
+      this.ensureRunning();
+      const ctx = this.ctx;
+      const t = ctx.currentTime;
+      // short filtered noise burst + quick pitch sweep for a "swish/thwip"
+      const noiseSrc = ctx.createBufferSource();
+      noiseSrc.buffer = this.noiseBuffer;
+      const hp = ctx.createBiquadFilter();
+      hp.type = "highpass";
+      hp.frequency.value = 2500;
+      const bp = ctx.createBiquadFilter();
+      bp.type = "bandpass";
+      bp.frequency.value = 3200;
+      const ng = ctx.createGain();
+      ng.gain.value = 0.0001;
+      noiseSrc.connect(hp).connect(bp).connect(ng).connect(this.sfxGain);
+      ng.gain.exponentialRampToValueAtTime(0.3, t + 0.015);
+      ng.gain.exponentialRampToValueAtTime(0.0001, t + 0.12);
+      noiseSrc.start(t);
+      noiseSrc.stop(t + 0.13);
+
+      const osc = ctx.createOscillator();
+      const og = ctx.createGain();
+      osc.type = "triangle";
+      osc.frequency.setValueAtTime(1600, t);
+      osc.frequency.exponentialRampToValueAtTime(700, t + 0.08);
+      og.gain.setValueAtTime(0.08, t);
+      og.gain.exponentialRampToValueAtTime(0.0001, t + 0.09);
+      osc.connect(og).connect(this.sfxGain);
+      osc.start(t);
+      osc.stop(t + 0.1);
+    },
+  };
+}
+
+/** Offline rendering: the same voices, drawn into a buffer instead of the speakers */
+// play(audio) schedules notes on a fresh audio object whose ctx is an
+// OfflineAudioContext; resolves with the rendered AudioBuffer. Player volumes
+// and mute don't apply, exports are always at full level.
+export function renderOffline(seconds, play, sampleRate = EXPORT_SAMPLE_RATE) {
+  const Offline = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+  const audio = createAudio();
+  audio.offline = true;
+  audio.musicVolume = 1;
+  audio.sfxVolume = 1;
+  audio.ctx = new Offline(2, Math.ceil(seconds * sampleRate), sampleRate);
+  audio.buildGraph();
+  play(audio);
+  return audio.ctx.startRendering();
+}
+
+// bars of a song with every layer in (intensity 3 unless given)
+export function renderSong(song, tempo, bars, intensity = 3) {
+  const stepSec = 60 / tempo / 2;
+  const end = bars * STEPS_PER_BAR * stepSec;
+  return renderOffline(end + SFX_SECONDS, (audio) => {
+    audio.song = song;
+    audio.tempo = tempo;
+    audio.intensity = intensity;
+    audio.createVoices();
+    for (let i = 0; i < bars * STEPS_PER_BAR; i++) audio.scheduleStep(i * stepSec);
+    // let the last chord ring out instead of cutting at the buffer's end
+    audio.chordGain.gain.linearRampToValueAtTime(0, end + 0.2);
+    audio.leadGain.gain.setTargetAtTime(0, end, 0.05);
+  });
+}
+
+// name: one of the play* effects, e.g. "playWeb" or "playHit"
+export function renderSfx(name) {
+  return renderOffline(SFX_SECONDS, (audio) => audio[name]());
+}
@@ -0,0 +1,64 @@
+/*
+  Flip Spider - challenge links: a seed, difficulty, mode and the sender's
+  score packed into one URL parameter, e.g. ?challenge=12345-Hard-Classic-27-mipef3.
+  The checksum catches mangled or hand-edited links; it is not anti-cheat.
+*/
+
+import { DifficultyPresets, GameMode } from "./config.js";
+import { hashString } from "./util.js";
+
+export const CHALLENGE_PARAM = "challenge";
+const MAX_SCORE = 1e6;
+
+function checksum(payload) {
+  return hashString(`flipspider:${payload}`).toString(36);
+}
+
+// challenge: {seed, difficulty, mode, score}
+export function encodeChallenge(challenge) {
+  const payload = [challenge.seed >>> 0, challenge.difficulty, challenge.mode, challenge.score].join("-");
+  return `${payload}-${checksum(payload)}`;
+}
+
+// Validate an untrusted link parameter; returns {seed, difficulty, mode, score} or null
+export function parseChallenge(text) {
+  if (typeof text !== "string") return null;
+  const parts = text.trim().split("-");
+  if (parts.length !== 5) return null;
+  const [seedText, difficulty, mode, scoreText, check] = parts;
+  if (!/^\d+$/.test(seedText) || !/^\d+$/.test(scoreText)) return null;
+  if (!DifficultyPresets[difficulty] || !GameMode[mode]) return null;
+  if (check !== checksum(parts.slice(0, 4).join("-"))) return null;
+  const seed = Number(seedText);
+  const score = Number(scoreText);
+  if (seed > 0xffffffff || score > MAX_SCORE) return null;
+  return { seed, difficulty, mode, score };
+}
+
+// href with the challenge set, and any ?seed= dropped since the challenge carries its own
+export function challengeUrl(href, challenge) {
+  const url = new URL(href);
+  url.searchParams.delete("seed");
+  url.searchParams.set(CHALLENGE_PARAM, encodeChallenge(challenge));
+  return url.toString();
+}
+
+// How a finished run went against the target: "won" only when beaten outright
+export function challengeResult(challenge, score) {
+  if (score > challenge.score) return "won";
+  return score === challenge.score ? "tied" : "lost";
+}
+
+// "Beat 27 on Hard", for the banner and the intro
+export function challengeTitle(challenge) {
+  const mode = challenge.mode === GameMode.Classic ? "" : ` (${challenge.mode})`;
+  return `Beat ${challenge.score} on ${challenge.difficulty}${mode}`;
+}
+
+// One line on how the run went, for the Game Over screen and screen readers
+export function challengeSummary(challenge, score) {
+  const result = challengeResult(challenge, score);
+  if (result === "won") return `Challenge won: you beat ${challenge.score}!`;
+  if (result === "tied") return `Tied at ${challenge.score}, one more point to win`;
+  return `Challenge lost: ${challenge.score - score} short of ${challenge.score}`;
+}
@@ -0,0 +1,121 @@
+/*
+  Flip Spider - highlight clips: records the canvas and game audio during a run
+  and keeps roughly the last ten seconds as a WebM for "Share Clip".
+*/
+
+// A WebM can't be cut without re-encoding, so two recorders run staggered:
+// a new one starts every CLIP_STAGGER_MS and the oldest is dropped. The older
+// of the pair always holds between one and two staggers of footage (7–14 s).
+export const CLIP_STAGGER_MS = 7000;
+const CLIP_FPS = 30;
+const MimeTypes = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+
+export function clipsSupported(canvas) {
+  return typeof MediaRecorder !== "undefined" && !!canvas.captureStream;
+}
+
+// getAudioStream: returns the game audio's MediaStream, or null for a silent clip
+export function createClipRecorder(canvas, getAudioStream) {
+  let stream = null;
+  let mimeType = "";
+  let segments = []; // [{recorder, chunks}], oldest first
+  let timer = null;
+
+  function ensureStream() {
+    if (stream) return;
+    stream = canvas.captureStream(CLIP_FPS);
+    const audio = getAudioStream();
+    if (audio) audio.getAudioTracks().forEach((t) => stream.addTrack(t));
+    mimeType = MimeTypes.find((t) => MediaRecorder.isTypeSupported(t)) || "";
+  }
+
+  function startSegment() {
+    const chunks = [];
+    const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size) chunks.push(e.data);
+    };
+    recorder.start();
+    segments.push({ recorder, chunks });
+    while (segments.length > 2) stopRecorder(segments.shift().recorder);
+  }
+
+  function stopRecorder(recorder) {
+    try {
+      if (recorder.state !== "inactive") recorder.stop();
+    } catch {}
+  }
+
+  function startTimer() {
+    timer = setInterval(startSegment, CLIP_STAGGER_MS);
+  }
+
+  function stopTimer() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  // Begin recording a run, dropping whatever the last one left behind
+  function start() {
+    cancel();
+    try {
+      ensureStream();
+      startSegment();
+      startTimer();
+    } catch {
+      cancel(); // recording refused (codec, permissions): the run just has no clip
+    }
+  }
+
+  function pause() {
+    if (!timer) return;
+    stopTimer();
+    for (const { recorder } of segments) {
+      try {
+        if (recorder.state === "recording") recorder.pause();
+      } catch {}
+    }
+  }
+
+  function resume() {
+    if (timer || !segments.length) return;
+    for (const { recorder } of segments) {
+      try {
+        if (recorder.state === "paused") recorder.resume();
+      } catch {}
+    }
+    startTimer();
+  }
+
+  // Stop recording; resolves with the clip (the older segment) or null
+  function finish() {
+    stopTimer();
+    const oldest = segments[0];
+    const rest = segments.slice(1);
+    segments = [];
+    rest.forEach(({ recorder }) => stopRecorder(recorder));
+    if (!oldest || oldest.recorder.state === "inactive") return Promise.resolve(null);
+    return new Promise((resolve) => {
+      oldest.recorder.onstop = () => {
+        const { chunks } = oldest;
+        resolve(chunks.length ? new Blob(chunks, { type: chunks[0].type || "video/webm" }) : null);
+      };
+      stopRecorder(oldest.recorder);
+    });
+  }
+
+  function cancel() {
+    stopTimer();
+    segments.forEach(({ recorder }) => stopRecorder(recorder));
+    segments = [];
+  }
+
+  // The instance is going away: also release the canvas capture
+  function close() {
+    cancel();
+    if (stream) stream.getTracks().forEach((t) => t.stop());
+    stream = null;
+  }
+
+  return { start, pause, resume, finish, cancel, close };
+}
@@ -0,0 +1,159 @@
+/*
+  Flip Spider - shared constants and tunables.
+  Pure data: safe to import from the browser and from Node tests.
+*/
+
+// Logical size kept constant for physics; CSS scales visually
+export const VIEW_WIDTH = 480;
+export const VIEW_HEIGHT = 800;
+
+/** Timing: fixed-step simulation, interpolated rendering */
+export const SIM_STEP_MS = 1000 / 60; // tunables below are expressed per 60 Hz step
+
+/** Game state */
+export const State = {
+  Menu: "menu",
+  Playing: "playing",
+  Dying: "dying", // crash animation between the hit and the Game Over screen
+  Paused: "paused",
+  GameOver: "gameover",
+  Scores: "scores",
+  Settings: "settings",
+};
+
+/** Phases: every PHASE_POINTS points brings a new theme and song */
+export const PHASE_POINTS = 30;
+export const SOUNDTRACK_BARS = 16; // length of the settings screen's song download
+
+/** Crash: the spider tumbles to the street before the Game Over screen shows */
+export const DYING_MS = 1400; // input is ignored for this long
+export const DYING_SLOWMO_MS = 400; // opening beat, played slowed down
+export const DYING_SLOWMO_SCALE = 0.3;
+
+/** Pause: resuming counts down 3-2-1 before physics restarts */
+export const RESUME_COUNTDOWN_MS = 3000;
+
+/** Tunables */
+export const physics = {
+  gravity: 0.52, // stronger gravity = snappier game feel
+  thrust: -9.8, // web impulse upward
+  terminalVel: 14,
+  floorHeight: 72,
+};
+
+export const PLAYER_HOME_X = VIEW_WIDTH * 0.28;
+export const PLAYER_START_Y = VIEW_HEIGHT * 0.45;
+
+/** Game mode: Classic vaults straight up; Swing tethers to buildings */
+export const GameMode = { Classic: "Classic", Swing: "Swing" };
+export const SWING_THROW_ANGLE = Math.PI / 3; // 60 degrees up-forward
+
+/** One-switch control (Classic): hold to rise at a steady pace, let go to fall */
+export const HOLD_RISE_ACCEL = 0.9; // per step, against gravity
+export const HOLD_RISE_SPEED = 5; // top climbing speed
+export const HOLD_RISE_DRAIN = 2.5; // web costs per second held; starting a climb costs one
+
+/** Difficulty */
+export const Difficulty = { Easy: "Easy", Medium: "Medium", Hard: "Hard" };
+
+export const DifficultyPresets = {
+  [Difficulty.Easy]: {
+    speed: 2.6,
+    spacing: 280,
+    minGap: 180,
+    maxGap: 220,
+    collisionPadding: 8,
+    webCost: 12,
+    webRegenPerSec: 40,
+    webCooldownMs: 90,
+    powerUpChance: 0.3,
+    powerUpWeights: { shield: 4, slow: 3, double: 2, ghost: 2 },
+  },
+  [Difficulty.Medium]: {
+    speed: 3.2,
+    spacing: 220,
+    minGap: 140,
+    maxGap: 185,
+    collisionPadding: 0,
+    webCost: 18,
+    webRegenPerSec: 32,
+    webCooldownMs: 120,
+    powerUpChance: 0.22,
+    powerUpWeights: { shield: 3, slow: 2, double: 3, ghost: 1 },
+  },
+  [Difficulty.Hard]: {
+    speed: 4.1,
+    spacing: 200,
+    minGap: 120,
+    maxGap: 150,
+    collisionPadding: -2,
+    webCost: 24,
+    webRegenPerSec: 26,
+    webCooldownMs: 150,
+    powerUpChance: 0.15,
+    powerUpWeights: { shield: 1, slow: 2, double: 3, ghost: 1 },
+  },
+};
+
+/** Obstacle variants, unlocked as phases advance */
+export const ObstacleKind = {
+  Static: "static",
+  Oscillate: "oscillate", // whole gap drifts up and down
+  Breathe: "breathe", // gap opens and closes around its center
+  Drone: "drone", // hovering drone patrols inside the gap
+  Wreck: "wreck", // wrecking ball swings from the top building
+};
+export const ObstacleVariants = [
+  { kind: ObstacleKind.Oscillate, phase: 1, weight: 3 },
+  { kind: ObstacleKind.Breathe, phase: 1, weight: 2 },
+  { kind: ObstacleKind.Drone, phase: 2, weight: 2 },
+  { kind: ObstacleKind.Wreck, phase: 3, weight: 2 },
+];
+export const DRONE_RADIUS = 11;
+export const WRECK_RADIUS = 16;
+
+/** Power-ups: collectibles spawned inside building gaps */
+export const PowerUp = { Shield: "shield", Slow: "slow", Double: "double", Ghost: "ghost" };
+export const PowerUpInfo = {
+  [PowerUp.Shield]: { label: "S", durationMs: 0 }, // lasts until it absorbs a hit
+  [PowerUp.Slow]: { label: "~", durationMs: 5000, speedScale: 0.6 },
+  [PowerUp.Double]: { label: "x2", durationMs: 8000, magnetRange: 160 },
+  [PowerUp.Ghost]: { label: "G", durationMs: 4000 },
+};
+export const PICKUP_RADIUS = 12;
+export const SHIELD_GRACE_MS = 1000; // invulnerable time after the shield pops
+
+/** Replays: bump when the simulation changes so old files are refused */
+export const REPLAY_VERSION = 4;
+
+/** Keyboard: KeyboardEvent.code values per command; hosts may override any of them */
+export const DefaultKeys = {
+  action: ["Space"], // throw a web / start / play again
+  pause: ["Escape", "KeyP"],
+  easy: ["Digit1"],
+  medium: ["Digit2"],
+  hard: ["Digit3"],
+  seed: ["KeyS"],
+  mode: ["KeyG"],
+  restart: ["KeyR"],
+  mute: ["KeyM"],
+  back: ["Escape", "Backspace"], // leave the scores / settings screen
+  // focus navigation on the menu, settings, scores and game over screens
+  up: ["ArrowUp"],
+  down: ["ArrowDown"],
+  left: ["ArrowLeft"],
+  right: ["ArrowRight"],
+  next: ["Tab"], // Shift+Tab goes back
+  select: ["Enter"],
+};
+
+/** Gamepad: button indices in the browser's "standard" mapping */
+export const PadButtons = {
+  a: 0, // throw a web / press the focused button
+  b: 1, // back
+  start: 9, // pause
+  up: 12,
+  down: 13,
+  left: 14,
+  right: 15,
+};
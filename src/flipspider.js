@@ -0,0 +1,958 @@
+/*
+  Flip Spider - embeddable game: wires the simulation (simulation.js) to a
+  canvas, Web Audio, input, localStorage and file/share APIs.
+
+  const game = FlipSpider.create(canvas, { difficulty: "Hard", seed: 42, muted: true });
+  game.on("score", (score) => ...);
+  game.start(); game.pause(); game.reset(); game.destroy();
+*/
+
+import {
+  VIEW_WIDTH,
+  VIEW_HEIGHT,
+  SIM_STEP_MS,
+  State,
+  Difficulty,
+  DifficultyPresets,
+  DefaultKeys,
+  PadButtons,
+  PHASE_POINTS,
+  SOUNDTRACK_BARS,
+  PowerUp,
+  PowerUpInfo,
+} from "./config.js";
+import { createSimulation, anchorX, anchorY } from "./simulation.js";
+import { createRenderer } from "./render.js";
+import { createAudio, renderSong, renderSfx } from "./audio.js";
+import { generateSong, intensityFor } from "./music.js";
+import { createLeaderboard } from "./leaderboard.js";
+import { createParticles } from "./particles.js";
+import { parseReplay } from "./replay.js";
+import { loadSettings, saveSettings, rebindKey } from "./settings.js";
+import { clamp, parseSeed, nearestInDirection } from "./util.js";
+import { encodeWav } from "./wav.js";
+import { clipsSupported, createClipRecorder } from "./clip.js";
+import { createShareCard, ShareCardSizes } from "./sharecard.js";
+import { defaultTheme } from "./theme.js";
+import { parseChallenge, challengeUrl, challengeSummary } from "./challenge.js";
+
+// Simulation events a host page may subscribe to through on()
+const HostEvents = ["score", "phaseChange", "webThrown", "gameOver"];
+
+/**
+ * options: {difficulty, seed, muted, theme, keys, keyTarget}
+ * - difficulty: "Easy" | "Medium" | "Hard" (default Medium)
+ * - seed: number or text for a fixed seed; omit for a fresh seed per run
+ * - muted: start with all audio silenced (over the saved setting)
+ * - theme: partial theme colors (e.g. {hudPrimary: "#fff"}) laid over every phase
+ * - keys: KeyboardEvent.code lists per command, over DefaultKeys and the player's
+ *   own bindings (e.g. {action: ["Enter"]})
+ * - keyTarget: element listened to for keys (default: the canvas, which is made focusable)
+ * - gamepad: index of the gamepad to read (default: the first one connected)
+ */
+export function create(canvas, options = {}) {
+  /** Canvas setup */
+  // Physics and drawing keep a constant 480x800 logical space. The backing
+  // store follows the on-screen size times devicePixelRatio, so text and the
+  // spider stay sharp, and the context transform maps logical to device pixels.
+  const MAX_BACKING_SCALE = 4; // ~1920x3200, plenty for any phone
+  /** @type {CanvasRenderingContext2D} */
+  const ctx = canvas.getContext("2d");
+
+  function fitCanvas() {
+    const rect = canvas.getBoundingClientRect();
+    const cssWidth = rect.width || VIEW_WIDTH;
+    const cssHeight = rect.height || VIEW_HEIGHT;
+    const scale = Math.min(MAX_BACKING_SCALE, (cssWidth / VIEW_WIDTH) * (window.devicePixelRatio || 1));
+    const width = Math.round(VIEW_WIDTH * scale);
+    const height = Math.round(VIEW_HEIGHT * scale);
+    if (canvas.width !== width || canvas.height !== height) {
+      canvas.width = width;
+      canvas.height = height;
+      // A canvas without a CSS size grows with its backing store; pin it
+      if (canvas.getBoundingClientRect().width !== cssWidth) {
+        canvas.style.width = `${cssWidth}px`;
+        canvas.style.height = `${cssHeight}px`;
+      }
+    }
+    // Resizing resets the context, and the transform must follow the new size anyway
+    ctx.setTransform(width / VIEW_WIDTH, 0, 0, height / VIEW_HEIGHT, 0, 0);
+  }
+  canvas.width = VIEW_WIDTH;
+  canvas.height = VIEW_HEIGHT;
+  fitCanvas();
+
+  // Saved player settings, shared with the other games on the page through
+  // storage. The host's muted option (and setMuted) is kept apart from them:
+  // it only applies to this game and is never saved.
+  const settings = loadSettings(window.localStorage);
+  let hostMuted = options.muted !== undefined ? !!options.muted : null;
+  const isMuted = () => (hostMuted !== null ? hostMuted : settings.muted);
+
+  const sim = createSimulation();
+  if (DifficultyPresets[options.difficulty]) sim.selectedDifficulty = options.difficulty;
+  // Fixed seed chosen by the host or from the menu; null means a fresh seed per run
+  sim.fixedSeed = parseSeed(options.seed);
+  sim.holdToRise = settings.oneSwitch;
+  // A challenge link fixes the run (over options.seed) and skips the difficulty menu
+  const challenge = parseChallenge(options.challenge);
+  if (challenge) {
+    sim.fixedSeed = challenge.seed;
+    sim.selectedDifficulty = challenge.difficulty;
+    sim.selectedMode = challenge.mode;
+  }
+
+  const audio = createAudio();
+  audio.setVolumes(settings.musicVolume, settings.sfxVolume);
+  audio.setMuted(isMuted());
+
+  /** Screen state shared with the renderer */
+  const hud = {
+    best: 0, // top score on the board of the last finished run
+    leaderboard: createLeaderboard(window.localStorage),
+    theme: options.theme || null,
+    pauseButton: { x: VIEW_WIDTH - 58, y: 18, w: 40, h: 40 },
+    menuHitboxes: [],
+    gameOverHitboxes: [],
+    scoresHitboxes: [],
+    settings,
+    muted: isMuted(), // the saved setting, or the host's override
+    keys: null, // bindings in effect, for the settings screen
+    settingsHitboxes: [],
+    rebinding: null, // command waiting for its new key on the settings screen
+    shakeMs: 0, // screen shake left, when enabled in settings
+    reducedMotion: false, // the setting or the system preference
+    focus: -1, // focused hitbox of the current screen (keyboard / gamepad); -1 = none
+    focusState: null, // screen the focus belongs to
+    particles: createParticles(),
+    beat: null, // audio.beatInfo() this frame
+    renderingSounds: false, // the settings screen's sound download is busy
+    clip: null, // WebM Blob of the last run's final seconds, once recorded
+    challenge: null, // target of the run in progress, when it is the linked challenge's
+    challengeIntro: challenge, // shown in place of the menu until its first run
+  };
+  const renderer = createRenderer(ctx, sim, hud);
+
+  /** Screen reader announcements */
+  // A visually hidden live region after the canvas. It speaks milestones and
+  // results, not every point, so it doesn't talk over the game.
+  const SCORE_MILESTONE = 10;
+  const live = document.createElement("div");
+  live.setAttribute("role", "status");
+  live.setAttribute("aria-live", "polite");
+  live.style.cssText = "position:absolute;width:1px;height:1px;overflow:hidden;clip:rect(0 0 0 0);white-space:nowrap";
+  canvas.insertAdjacentElement("afterend", live);
+  const announce = (text) => (live.textContent = text);
+
+  sim.on("runStart", () => {
+    announce(sim.playback ? "Watching replay" : `Run started on ${sim.selectedDifficulty}`);
+  });
+  sim.on("score", (score) => {
+    if (score % SCORE_MILESTONE === 0) announce(`Score ${score}`);
+  });
+  sim.on("phaseChange", (phase) => announce(`Phase ${phase + 1}, score ${sim.score}`));
+  sim.on("pause", () => announce("Paused"));
+  sim.on("resume", () => announce("Resumed"));
+
+  /** Simulation events -> audio + leaderboard */
+  // The phase's tempo, held back while Slow is active so the music slows with the buildings
+  let musicSlowed = false;
+  const musicTempo = () => sim.theme.tempo * (musicSlowed ? PowerUpInfo[PowerUp.Slow].speedScale : 1);
+  sim.on("runStart", () => {
+    audio.init();
+    musicSlowed = false;
+    audio.setSong(generateSong(sim.currentPhase), musicTempo());
+    audio.setIntensity(intensityFor(sim.score % PHASE_POINTS));
+    audio.startMusic();
+  });
+  // More layers join as the player scores within a phase
+  sim.on("score", (score) => audio.setIntensity(intensityFor(score % PHASE_POINTS)));
+  sim.on("webThrown", () => audio.playWeb && audio.playWeb());
+  sim.on("fizzle", () => audio.playFizzle());
+  sim.on("pickup", (type) => audio.playPickup(type));
+  sim.on("shieldHit", () => {
+    audio.playHit();
+    hud.shakeMs = 150;
+  });
+  // Each phase has its own song; the switch lands on the next bar line
+  sim.on("phaseChange", (phase) => audio.setSong(generateSong(phase), musicTempo()));
+  sim.on("gameOver", (run) => {
+    if (!run.replay) {
+      hud.best = hud.leaderboard.record(run.difficulty, run.seed, run.mode, {
+        score: run.score,
+        date: Date.now(),
+        phase: run.phase,
+        durationMs: run.durationMs,
+      });
+    }
+    audio.stopMusic();
+    const result = hud.challenge ? ` ${challengeSummary(hud.challenge, run.score)}` : "";
+    announce(
+      run.replay ? `Replay over. Score ${run.score}` : `Game over. Score ${run.score}, best ${hud.best}.${result}`
+    );
+  });
+  sim.on("crash", () => {
+    audio.playHit();
+    audio.duckMusic(); // under the tumble; stopped at Game Over
+    hud.shakeMs = 300;
+  });
+  sim.on("pause", () => audio.pauseMusic());
+
+  /** Challenge links */
+  // Seed, difficulty and mode of the run on screen: a watched replay carries
+  // its own, which need not match the menu's difficulty
+  function currentRun() {
+    if (sim.playback) return sim.playback.replay;
+    return { seed: sim.runSeed, difficulty: sim.selectedDifficulty, mode: sim.runMode };
+  }
+
+  // Only a run on the challenge's own seed, difficulty and mode is measured against it
+  sim.on("runStart", () => {
+    hud.challengeIntro = null;
+    const run = currentRun();
+    const matches =
+      challenge &&
+      run.seed === challenge.seed &&
+      run.difficulty === challenge.difficulty &&
+      run.mode === challenge.mode;
+    hud.challenge = matches ? challenge : null;
+  });
+
+  // Link that dares others to beat the last run
+  function shareUrl() {
+    const { seed, difficulty, mode } = currentRun();
+    return challengeUrl(window.location.href, { seed, difficulty, mode, score: sim.score });
+  }
+
+  /** Simulation events -> particles (cosmetic; off with the Particles setting) */
+  function burst(x, y, opts) {
+    if (settings.particles) hud.particles.burst(x, y, opts);
+  }
+
+  // Where the last web stuck, if it is still showing
+  function webAnchor() {
+    if (sim.tether) return { x: anchorX(sim.tether), y: anchorY(sim.tether) };
+    if (sim.webLine) return { x: sim.webLine.x2, y: sim.webLine.y2 };
+    return null;
+  }
+
+  sim.on("runStart", () => hud.particles.clear());
+  sim.on("webThrown", () => {
+    const anchor = webAnchor();
+    if (!anchor) return;
+    // sparks ride along with the buildings
+    burst(anchor.x, anchor.y, { count: 10, speed: 2.5, drift: -sim.worldSpeed, size: 2, life: 300 });
+  });
+  sim.on("score", () => {
+    const p = sim.player;
+    burst(p.x - p.radius, p.y, {
+      count: 14,
+      speed: 4,
+      angle: Math.PI, // trailing behind the spider
+      spread: 1.6,
+      drift: -sim.worldSpeed,
+      life: 450,
+      colors: ["#fde047", "#facc15", "#ffffff"],
+    });
+  });
+  sim.on("crash", () => {
+    const p = sim.player;
+    burst(p.x, p.y, {
+      count: 28,
+      speed: 6,
+      gravity: 0.35,
+      size: 4,
+      life: 900,
+      colors: ["#ff5b60", "#bf1e2e", "#0b0b0b"],
+    });
+  });
+
+  /** Simulation events -> highlight clip (the last seconds of each run, for "Share Clip") */
+  const clips =
+    options.clips !== false && clipsSupported(canvas)
+      ? createClipRecorder(canvas, () => audio.captureStream())
+      : null;
+  if (clips) {
+    sim.on("runStart", () => {
+      hud.clip = null;
+      clips.start();
+    });
+    sim.on("pause", () => clips.pause());
+    sim.on("resume", () => clips.resume());
+    // after the tumble, so the clip ends on the crash
+    sim.on("gameOver", () => {
+      clips.finish().then((blob) => {
+        if (sim.state === State.GameOver) hud.clip = blob;
+      });
+    });
+  }
+
+  sim.on("resume", () => {
+    accumulator = 0; // don't simulate the time spent paused
+    audio.resumeMusic();
+  });
+
+  /** Timing: fixed-step simulation, interpolated rendering */
+  const MAX_FRAME_MS = 250; // ignore huge gaps (tab switch, debugger)
+  const MAX_STEPS_PER_FRAME = 8; // avoid a spiral of death on slow devices
+  let lastTime = performance.now();
+  let accumulator = 0;
+  let frameId = 0;
+  const motionQuery = window.matchMedia ? window.matchMedia("(prefers-reduced-motion: reduce)") : null;
+
+  /** Main loop */
+  function tick(now) {
+    const frameMs = Math.min(MAX_FRAME_MS, Math.max(0, now - lastTime));
+    lastTime = now;
+    pollGamepad();
+    sim.updateResumeCountdown(frameMs);
+    hud.shakeMs = Math.max(0, hud.shakeMs - frameMs);
+    if (sim.state !== State.Paused) hud.particles.update(frameMs);
+    hud.reducedMotion = settings.reducedMotion || !!(motionQuery && motionQuery.matches);
+    hud.beat = audio.beatInfo();
+    accumulator += frameMs;
+
+    let steps = 0;
+    while (accumulator >= SIM_STEP_MS && steps < MAX_STEPS_PER_FRAME) {
+      sim.snapshotPositions();
+      sim.update(SIM_STEP_MS);
+      accumulator -= SIM_STEP_MS;
+      steps++;
+    }
+    // Still behind after the cap: drop the backlog instead of catching up
+    if (steps === MAX_STEPS_PER_FRAME) accumulator = Math.min(accumulator, SIM_STEP_MS);
+    if ((sim.active.slow > 0) !== musicSlowed) {
+      musicSlowed = !musicSlowed;
+      audio.setTempo(musicTempo());
+    }
+
+    renderer.render(accumulator / SIM_STEP_MS);
+    frameId = requestAnimationFrame(tick);
+  }
+
+  /** Replay files */
+  function exportReplay() {
+    const lastRun = sim.lastRun;
+    if (!lastRun) return;
+    const json = JSON.stringify(lastRun);
+    const blob = new Blob([json], { type: "application/json" });
+    downloadBlob(blob, `flipspider-replay-${lastRun.seed}-${lastRun.score}.json`);
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  function importReplay() {
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.addEventListener("change", async () => {
+      const file = input.files && input.files[0];
+      if (!file) return;
+      let replay = null;
+      try {
+        replay = parseReplay(JSON.parse(await file.text()));
+      } catch {}
+      if (!replay) {
+        window.alert("That file is not a Flip Spider replay.");
+        return;
+      }
+      sim.lastRun = replay;
+      sim.startReplay(replay);
+    });
+    input.click();
+  }
+
+  /** Sound downloads */
+  // The current phase's song plus each effect as WAV files, for trailers
+  async function downloadSounds() {
+    if (hud.renderingSounds) return;
+    hud.renderingSounds = true;
+    const phase = sim.currentPhase;
+    const tempo = (sim.theme || defaultTheme()).tempo; // no theme before the first run
+    const wav = (buffer) => new Blob([encodeWav(buffer)], { type: "audio/wav" });
+    try {
+      const song = await renderSong(generateSong(phase), tempo, SOUNDTRACK_BARS);
+      downloadBlob(wav(song), `flipspider-phase-${phase + 1}.wav`);
+      for (const [name, file] of [
+        ["playWeb", "web"],
+        ["playHit", "hit"],
+      ]) {
+        downloadBlob(wav(await renderSfx(name)), `flipspider-${file}.wav`);
+      }
+    } catch {
+      window.alert("Sounds can't be rendered in this browser.");
+    }
+    hud.renderingSounds = false;
+  }
+
+  function promptForSeed() {
+    const current = sim.fixedSeed !== null ? String(sim.fixedSeed) : "";
+    const input = window.prompt("Enter a seed (leave empty for random):", current);
+    if (input === null) return; // cancelled
+    sim.fixedSeed = parseSeed(input);
+  }
+
+  /** Input events */
+  // Every DOM listener goes through listen() so destroy() can take them all down
+  const bindings = [];
+  function listen(target, type, fn, opts) {
+    target.addEventListener(type, fn, opts);
+    bindings.push([target, type, fn, opts]);
+  }
+
+  // Refit on layout changes (window size, rotation, the race page's flex
+  // boxes) and on zoom or moving to another screen, which change devicePixelRatio
+  let resizeObserver = null;
+  if (window.ResizeObserver) {
+    resizeObserver = new ResizeObserver(() => fitCanvas());
+    resizeObserver.observe(canvas);
+  }
+  listen(window, "resize", fitCanvas);
+  listen(window, "orientationchange", fitCanvas);
+
+  // Keys are read from keyTarget: the canvas itself unless the host shares the
+  // page keyboard between instances (then give each its own keys)
+  const keyTarget = options.keyTarget || canvas;
+  const buildKeys = () => ({ ...DefaultKeys, ...settings.keys, ...options.keys });
+  let keys = (hud.keys = buildKeys());
+  const isKey = (e, command) => keys[command].includes(e.code);
+  if (!canvas.hasAttribute("tabindex")) canvas.tabIndex = 0; // focusable for keys
+
+  listen(keyTarget, "keydown", (e) => {
+    if (hud.rebinding) {
+      // The next key becomes the binding; Esc keeps the old one
+      e.preventDefault();
+      if (e.code !== "Escape") {
+        const command = hud.rebinding;
+        changeSettings((s) => rebindKey(s, keys, command, e.code));
+      }
+      hud.rebinding = null;
+      return;
+    }
+    if (isKey(e, "mute")) {
+      toggleMute();
+      return;
+    }
+    if (handleFocusKeys(e)) {
+      e.preventDefault();
+      return;
+    }
+    if (sim.state === State.Settings) {
+      if (isKey(e, "back")) sim.openMenu();
+      if (isKey(e, "action")) e.preventDefault();
+      return;
+    }
+    if (sim.state === State.Scores) {
+      if (isKey(e, "easy")) sim.scoresView.difficulty = Difficulty.Easy;
+      if (isKey(e, "medium")) sim.scoresView.difficulty = Difficulty.Medium;
+      if (isKey(e, "hard")) sim.scoresView.difficulty = Difficulty.Hard;
+      if (isKey(e, "back")) sim.closeScores();
+      if (isKey(e, "action")) e.preventDefault();
+      return;
+    }
+    if (isKey(e, "pause")) {
+      sim.togglePause();
+      return;
+    }
+    if (isKey(e, "action")) {
+      e.preventDefault();
+      if (e.repeat) return; // holding the key must not spend web fluid
+      if (sim.state === State.Menu) {
+        sim.startGameWithDifficulty(sim.selectedDifficulty, true);
+      } else {
+        sim.handleAction();
+      }
+    }
+    if (sim.state === State.Menu && !hud.challengeIntro) {
+      if (isKey(e, "easy")) sim.selectedDifficulty = Difficulty.Easy;
+      if (isKey(e, "medium")) sim.selectedDifficulty = Difficulty.Medium;
+      if (isKey(e, "hard")) sim.selectedDifficulty = Difficulty.Hard;
+      if (isKey(e, "seed")) promptForSeed();
+      if (isKey(e, "mode")) sim.toggleMode();
+    }
+    if (isKey(e, "restart") && sim.state === State.GameOver) {
+      sim.handleAction();
+    }
+  });
+  // Pointer events cover mouse, touch and pen; capture keeps the pointerup
+  // coming to this canvas even when the finger slides off it
+  listen(canvas, "pointerdown", (e) => {
+    e.preventDefault();
+    hud.focus = -1; // the focus ring is for keys and gamepads
+    canvas.focus({ preventScroll: true });
+    try {
+      canvas.setPointerCapture(e.pointerId);
+    } catch {}
+    audio.init(); // allow audio context to start on first user gesture
+    if (settings.fullscreen) requestFullscreenIfPossible();
+    handlePointer(getCanvasPointFromClient(e.clientX, e.clientY));
+  });
+
+  // Letting go of the button releases the web in Swing mode
+  listen(keyTarget, "keyup", (e) => {
+    if (isKey(e, "action")) sim.handleRelease();
+  });
+  listen(canvas, "pointerup", () => {
+    dragging = null;
+    sim.handleRelease();
+  });
+  listen(canvas, "pointercancel", () => {
+    dragging = null;
+    sim.handleRelease();
+  });
+  // Volume sliders follow the pointer while held
+  listen(canvas, "pointermove", (e) => {
+    if (dragging) setSlider(dragging, getCanvasPointFromClient(e.clientX, e.clientY));
+  });
+
+  // Auto-pause when the player switches away
+  listen(document, "visibilitychange", () => {
+    if (document.hidden) sim.pauseGame();
+  });
+  listen(window, "blur", () => sim.pauseGame());
+
+  function handlePointer(p) {
+    if (sim.state === State.Menu) {
+      if (tryHandleMenuClick(p.x, p.y)) return;
+      sim.startGameWithDifficulty(sim.selectedDifficulty, true);
+      return;
+    } else if (sim.state === State.Scores) {
+      tryHandleScoresClick(p.x, p.y);
+      return;
+    } else if (sim.state === State.Settings) {
+      tryHandleSettingsClick(p);
+      return;
+    } else if (sim.state === State.GameOver) {
+      if (tryHandleGameOverClick(p.x, p.y)) return;
+      // Fallback: click anywhere to play again
+      sim.restart();
+      return;
+    } else if (sim.state === State.Playing && isInside(p, hud.pauseButton)) {
+      sim.pauseGame();
+      return;
+    }
+    sim.handleAction();
+  }
+
+  // Client pixels -> logical 480x800 coordinates, whatever the backing size
+  function getCanvasPointFromClient(clientX, clientY) {
+    const rect = canvas.getBoundingClientRect();
+    const sx = VIEW_WIDTH / rect.width;
+    const sy = VIEW_HEIGHT / rect.height;
+    return { x: (clientX - rect.left) * sx, y: (clientY - rect.top) * sy };
+  }
+
+  function isInside(p, b) {
+    return p.x >= b.x && p.x <= b.x + b.w && p.y >= b.y && p.y <= b.y + b.h;
+  }
+
+  function requestFullscreenIfPossible() {
+    const el = document.documentElement; // go fullscreen for the whole page
+    const canFS = el.requestFullscreen || el.webkitRequestFullscreen || el.msRequestFullscreen;
+    if (!canFS) return;
+    const isFS = document.fullscreenElement || document.webkitFullscreenElement || document.msFullscreenElement;
+    if (!isFS) {
+      try {
+        canFS.call(el);
+      } catch {}
+    }
+  }
+
+  function tryHandleMenuClick(px, py) {
+    for (const b of hud.menuHitboxes) {
+      if (px >= b.x && px <= b.x + b.w && py >= b.y && py <= b.y + b.h) {
+        if (b.type === "seed") {
+          promptForSeed();
+          return true;
+        }
+        if (b.type === "scores") {
+          sim.openScores(State.Menu);
+          return true;
+        }
+        if (b.type === "mode") {
+          sim.toggleMode();
+          return true;
+        }
+        if (b.type === "settings") {
+          // show what the other games on the page may have changed
+          reloadSettings();
+          applySettings();
+          sim.openSettings();
+          return true;
+        }
+        sim.startGameWithDifficulty(b.label, true);
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function tryHandleGameOverClick(px, py) {
+    for (const b of hud.gameOverHitboxes) {
+      if (px >= b.x && px <= b.x + b.w && py >= b.y && py <= b.y + b.h) {
+        if (b.type === "play") {
+          sim.restart();
+        } else if (b.type === "menu") {
+          sim.openMenu();
+        } else if (b.type === "scores") {
+          sim.openScores(State.GameOver);
+        } else if (b.type === "replay") {
+          if (sim.lastRun) sim.startReplay(sim.lastRun);
+        } else if (b.type === "share") {
+          shareScore();
+        } else if (b.type === "clip") {
+          shareClip();
+        } else if (b.type === "cardSquare") {
+          saveCard(ShareCardSizes.square);
+        } else if (b.type === "cardWide") {
+          saveCard(ShareCardSizes.wide);
+        } else if (b.type === "export") {
+          exportReplay();
+        } else if (b.type === "import") {
+          importReplay();
+        }
+        return true;
+      }
+    }
+    return false;
+  }
+
+  function tryHandleScoresClick(px, py) {
+    const view = sim.scoresView;
+    for (const b of hud.scoresHitboxes) {
+      if (px >= b.x && px <= b.x + b.w && py >= b.y && py <= b.y + b.h) {
+        if (b.type === "tab") view.difficulty = b.label;
+        else if (b.type === "seed") view.seed = view.seed === null ? sim.fixedSeed : null;
+        else if (b.type === "back") sim.closeScores();
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /** Focus navigation: arrows / Tab / Enter, or the gamepad D-pad and A */
+  const FocusMoves = [
+    ["up", 0, -1],
+    ["down", 0, 1],
+    ["left", -1, 0],
+    ["right", 1, 0],
+  ];
+
+  // Hitboxes of the screen on show, in drawing order; null while playing
+  function focusBoxes() {
+    if (sim.state === State.Menu) return hud.menuHitboxes;
+    if (sim.state === State.GameOver) return hud.gameOverHitboxes;
+    if (sim.state === State.Scores) return hud.scoresHitboxes;
+    if (sim.state === State.Settings) return hud.settingsHitboxes;
+    return null;
+  }
+
+  function focusedBox() {
+    const boxes = focusBoxes();
+    if (!boxes || hud.focusState !== sim.state) return null;
+    return boxes[hud.focus] || null;
+  }
+
+  // Returns whether the key was used
+  function handleFocusKeys(e) {
+    if (isKey(e, "next")) return tabFocus(e.shiftKey);
+    for (const [command, dx, dy] of FocusMoves) {
+      if (isKey(e, command)) return moveFocus(dx, dy);
+    }
+    if (isKey(e, "select")) return selectFocus();
+    return false;
+  }
+
+  // The first move only shows the ring; left/right on a slider change its value
+  function moveFocus(dx, dy) {
+    const boxes = focusBoxes();
+    if (!boxes || !boxes.length) return false;
+    const b = focusedBox();
+    if (!b) {
+      hud.focusState = sim.state;
+      hud.focus = 0;
+    } else if (b.type === "slider" && dx) {
+      const value = Math.round((settings[b.name] + dx * 0.1) * 10) / 10;
+      setSlider(b, { x: b.x + b.w * value });
+    } else {
+      hud.focus = nearestInDirection(boxes, hud.focus, dx, dy);
+    }
+    return true;
+  }
+
+  // Tab follows drawing order; past either end it lets the browser move on
+  function tabFocus(back) {
+    const boxes = focusBoxes();
+    if (!boxes || !boxes.length) return false;
+    const from = focusedBox() ? hud.focus : back ? boxes.length : -1;
+    const to = from + (back ? -1 : 1);
+    if (to < 0 || to >= boxes.length) {
+      hud.focus = -1;
+      return false;
+    }
+    hud.focusState = sim.state;
+    hud.focus = to;
+    return true;
+  }
+
+  // Presses the focused button as if it were tapped
+  function selectFocus() {
+    const b = focusedBox();
+    if (!b) return false;
+    if (b.type !== "slider") handlePointer({ x: b.x + b.w / 2, y: b.y + b.h / 2 });
+    return true;
+  }
+
+  /** Gamepad: polled every frame, since the Gamepad API has no button events */
+  const padHeld = {}; // PadButtons name -> held on the last poll
+
+  function pollGamepad() {
+    const pads = navigator.getGamepads ? Array.from(navigator.getGamepads()) : [];
+    const pad = options.gamepad !== undefined ? pads[options.gamepad] : pads.find(Boolean);
+    if (!pad) return;
+    for (const [name, index] of Object.entries(PadButtons)) {
+      const held = !!(pad.buttons[index] && pad.buttons[index].pressed);
+      if (held && !padHeld[name]) padPressed(name);
+      if (!held && padHeld[name] && name === "a") sim.handleRelease();
+      padHeld[name] = held;
+    }
+  }
+
+  function padPressed(name) {
+    if (name === "a") {
+      audio.init();
+      if (!selectFocus()) sim.handleAction();
+    } else if (name === "b") {
+      hud.rebinding = null;
+      if (sim.state === State.Scores) sim.closeScores();
+      else if (sim.state === State.Settings) sim.openMenu();
+    } else if (name === "start") {
+      if (sim.state === State.Playing || sim.state === State.Paused) sim.togglePause();
+      else sim.handleAction();
+    } else {
+      const [, dx, dy] = FocusMoves.find(([command]) => command === name);
+      moveFocus(dx, dy);
+    }
+  }
+
+  /** Settings screen */
+  let dragging = null; // slider hitbox being dragged
+
+  function tryHandleSettingsClick(p) {
+    for (const b of hud.settingsHitboxes) {
+      if (!isInside(p, b)) continue;
+      if (b.type === "slider") {
+        dragging = b;
+        setSlider(b, p);
+      } else if (b.type === "toggle" && b.name === "muted") {
+        toggleMute();
+      } else if (b.type === "toggle") {
+        changeSettings((s) => (s[b.name] = !s[b.name]));
+        // Turning fullscreen on is itself a user gesture, so it can take effect now
+        if (b.name === "fullscreen" && settings.fullscreen) requestFullscreenIfPossible();
+        if (b.name === "particles" && !settings.particles) hud.particles.clear();
+      } else if (b.type === "download") {
+        downloadSounds();
+      } else if (b.type === "key") {
+        hud.rebinding = hud.rebinding === b.name ? null : b.name;
+      } else if (b.type === "back") {
+        hud.rebinding = null;
+        sim.openMenu();
+      }
+      return true;
+    }
+    return false;
+  }
+
+  function setSlider(b, p) {
+    const value = clamp((p.x - b.x) / b.w, 0, 1);
+    changeSettings((s) => (s[b.name] = value));
+  }
+
+  // While the host mutes this game, the player's toggle only lasts for the page view
+  function toggleMute() {
+    if (hostMuted !== null) {
+      hostMuted = !hostMuted;
+      applySettings();
+    } else {
+      changeSettings((s) => (s.muted = !s.muted));
+    }
+  }
+
+  // Another game on the page may have saved since: change the latest copy
+  function changeSettings(change) {
+    reloadSettings();
+    change(settings);
+    saveSettings(window.localStorage, settings);
+    applySettings();
+  }
+
+  function reloadSettings() {
+    Object.assign(settings, loadSettings(window.localStorage));
+  }
+
+  function applySettings() {
+    audio.setVolumes(settings.musicVolume, settings.sfxVolume);
+    audio.setMuted(isMuted());
+    hud.muted = isMuted();
+    sim.holdToRise = settings.oneSwitch;
+    keys = hud.keys = buildKeys();
+  }
+
+  /** Share cards */
+  // The finished run drawn off-screen, without the Game Over buttons
+  function shareCard(size) {
+    const { seed, difficulty, mode } = currentRun();
+    return createShareCard(size, {
+      theme: { ...sim.theme, ...hud.theme },
+      score: sim.score,
+      best: hud.best,
+      difficulty,
+      mode,
+      phase: sim.currentPhase,
+      seed,
+      date: Date.now(),
+    });
+  }
+
+  async function saveCard(size) {
+    const blob = await canvasToBlob(shareCard(size));
+    downloadBlob(blob, `flipspider-${sim.score}-${size.width}x${size.height}.png`);
+  }
+
+  async function shareScore() {
+    const score = sim.score;
+    const url = shareUrl(); // opens straight into this run's seed with the score to beat
+    try {
+      const blob = await canvasToBlob(shareCard(ShareCardSizes.square));
+      const files = [new File([blob], "flipspider-score.png", { type: blob.type })];
+      const shareData = {
+        title: "Flip Spider",
+        text: `I scored ${score} in Flip Spider! Can you beat me?`,
+        url,
+        files,
+      };
+      if (navigator.canShare && navigator.canShare({ files })) {
+        await navigator.share(shareData);
+        return;
+      }
+    } catch {}
+    // Fallback to opening a Twitter share with no image if File sharing is unsupported
+    const shareText = `I scored ${score} in Flip Spider! Can you beat me?`;
+    const twitter = `https://twitter.com/intent/tweet?text=${encodeURIComponent(shareText)}&url=${encodeURIComponent(url)}`;
+    window.open(twitter, "_blank");
+  }
+
+  // Through the share sheet where it takes video files, otherwise a download
+  async function shareClip() {
+    const blob = hud.clip;
+    if (!blob) return;
+    const name = `flipspider-clip-${sim.score}.webm`;
+    try {
+      const files = [new File([blob], name, { type: blob.type })];
+      if (navigator.canShare && navigator.canShare({ files })) {
+        await navigator.share({
+          title: "Flip Spider",
+          text: `I scored ${sim.score} in Flip Spider! Can you beat me?`,
+          url: shareUrl(),
+          files,
+        });
+        return;
+      }
+    } catch (e) {
+      if (e && e.name === "AbortError") return; // the player closed the share sheet
+    }
+    downloadBlob(blob, name);
+  }
+
+  function canvasToBlob(c) {
+    return new Promise((resolve) => {
+      if (c.toBlob) {
+        c.toBlob((blob) => resolve(blob || new Blob()), "image/png", 0.95);
+      } else {
+        const dataUrl = c.toDataURL("image/png");
+        const bin = atob(dataUrl.split(",")[1] || "");
+        const arr = new Uint8Array(bin.length);
+        for (let i = 0; i < bin.length; i++) arr[i] = bin.charCodeAt(i);
+        resolve(new Blob([arr], { type: "image/png" }));
+      }
+    });
+  }
+
+  // Start loop
+  frameId = requestAnimationFrame((t) => {
+    lastTime = t;
+    accumulator = 0;
+    frameId = requestAnimationFrame(tick);
+  });
+
+  /** Host API */
+  // Begin a run from the menu or game over screen; resumes a paused run
+  function start() {
+    if (sim.state === State.Paused) sim.resumeGame();
+    else if (sim.state !== State.Playing && sim.state !== State.Dying) {
+      sim.startGameWithDifficulty(sim.selectedDifficulty, true);
+    }
+  }
+
+  // Abandon whatever is going on and go back to the menu
+  function reset() {
+    audio.stopMusic();
+    // the only way a run ends without a Game Over, so the clip goes with it
+    if (clips) clips.cancel();
+    hud.clip = null;
+    sim.applyDifficulty(sim.selectedDifficulty);
+    sim.resetGame();
+    sim.openMenu();
+  }
+
+  function destroy() {
+    for (const [target, type, fn, opts] of bindings) target.removeEventListener(type, fn, opts);
+    bindings.length = 0;
+    cancelAnimationFrame(frameId);
+    if (resizeObserver) resizeObserver.disconnect();
+    if (clips) clips.close();
+    audio.close();
+    live.remove();
+  }
+
+  // type: one of HostEvents; returns a function that unsubscribes
+  function on(type, fn) {
+    if (!HostEvents.includes(type)) throw new Error(`Unknown Flip Spider event: ${type}`);
+    return sim.on(type, fn);
+  }
+
+  return {
+    start,
+    pause: () => sim.pauseGame(),
+    reset,
+    destroy,
+    on,
+    // Not saved: the player's own mute setting is kept for the next visit
+    setMuted: (muted) => {
+      hostMuted = !!muted;
+      applySettings();
+    },
+    get state() {
+      return sim.state;
+    },
+    get score() {
+      return sim.score;
+    },
+    // {step, beat, bar, progress} of the music now playing, or null
+    get beat() {
+      return hud.beat;
+    },
+  };
+}
+
+export const FlipSpider = { create };
@@ -0,0 +1,70 @@
+/*
+  Flip Spider - local leaderboard: top runs per difficulty (and per seed when one is fixed).
+*/
+
+import { Difficulty, GameMode } from "./config.js";
+
+const SCORES_KEY = "flipspider.scores";
+const SCORES_PER_BOARD = 10;
+
+export function boardKey(difficulty, seed, mode = GameMode.Classic) {
+  const base = mode === GameMode.Classic ? difficulty : `${mode}:${difficulty}`;
+  return seed === null ? base : `${base}#${seed}`;
+}
+
+export function insertScore(list, entry) {
+  return list
+    .concat([entry])
+    .sort((a, b) => b.score - a.score || (a.date || 0) - (b.date || 0))
+    .slice(0, SCORES_PER_BOARD);
+}
+
+// storage: a Web Storage-like object (localStorage in the browser)
+export function createLeaderboard(storage) {
+  let boards = load(); // {boardKey: [{score, date, phase, durationMs}]}
+
+  function load() {
+    let result = {};
+    try {
+      const parsed = JSON.parse(storage.getItem(SCORES_KEY) || "{}");
+      if (parsed && typeof parsed === "object") result = parsed;
+    } catch {}
+    // Migrate the single best score kept by older versions (difficulty unknown)
+    let legacyBest = 0;
+    try {
+      legacyBest = Number(storage.getItem("flipspider.best") || 0);
+    } catch {}
+    if (legacyBest > 0) {
+      const key = boardKey(Difficulty.Medium, null);
+      result[key] = insertScore(result[key] || [], {
+        score: legacyBest,
+        date: null,
+        phase: null,
+        durationMs: null,
+      });
+      try {
+        storage.setItem(SCORES_KEY, JSON.stringify(result));
+        storage.removeItem("flipspider.best");
+      } catch {}
+    }
+    return result;
+  }
+
+  function list(difficulty, seed, mode) {
+    boards = load(); // runs saved by another game or tab show up too
+    return boards[boardKey(difficulty, seed, mode)] || [];
+  }
+
+  // Stores the run and returns the best score on its board
+  function record(difficulty, seed, mode, entry) {
+    boards = load(); // another game on the page may have saved since
+    const key = boardKey(difficulty, seed, mode);
+    boards[key] = insertScore(boards[key] || [], entry);
+    try {
+      storage.setItem(SCORES_KEY, JSON.stringify(boards));
+    } catch {}
+    return boards[key][0].score;
+  }
+
+  return { list, record };
+}
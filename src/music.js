@@ -0,0 +1,135 @@
+/*
+  Flip Spider - procedural music: a short looping song per phase (key, scale,
+  power-chord progression, drum patterns, lead melody) and which layers play
+  at each intensity. Pure data; audio.js turns the steps into sound.
+*/
+
+import { seededRandom } from "./util.js";
+
+export const STEPS_PER_BAR = 8; // eighth notes in 4/4
+
+const Scales = {
+  minor: [0, 2, 3, 5, 7, 8, 10],
+  dorian: [0, 2, 3, 5, 7, 9, 10],
+  phrygian: [0, 1, 3, 5, 7, 8, 10],
+  mixolydian: [0, 2, 4, 5, 7, 9, 10],
+  major: [0, 2, 4, 5, 7, 9, 11],
+};
+
+// Chord roots as scale degrees (0 = tonic), one chord per chordSteps
+const Progressions = [
+  [0, 3, 4, 3],
+  [0, 5, 3, 4],
+  [0, 6, 5, 6],
+  [0, 3, 0, 4],
+  [5, 3, 0, 4],
+  [0, 2, 3, 4],
+];
+
+// One bar per pattern, 1 = hit
+const KickPatterns = [
+  [1, 0, 0, 0, 1, 0, 0, 0],
+  [1, 0, 0, 1, 1, 0, 0, 0],
+  [1, 0, 1, 0, 1, 0, 0, 1],
+  [1, 0, 0, 0, 1, 0, 1, 0],
+];
+const SnarePatterns = [
+  [0, 0, 1, 0, 0, 0, 1, 0],
+  [0, 0, 1, 0, 0, 0, 1, 1],
+  [0, 0, 1, 0, 0, 1, 1, 0],
+];
+const HatPatterns = [
+  [1, 1, 1, 1, 1, 1, 1, 1],
+  [1, 0, 1, 0, 1, 0, 1, 0],
+  [0, 1, 0, 1, 0, 1, 0, 1],
+];
+// Extra kicks for the top intensity, laid over the main pattern
+const DriveKicks = [
+  [0, 0, 0, 1, 0, 0, 1, 0],
+  [0, 1, 0, 0, 0, 0, 1, 1],
+];
+
+/** Intensity: layers join as the player scores within a phase */
+// Points into the phase at which each level starts: 0 chords + kick + snare,
+// 1 adds hats, 2 adds the lead, 3 adds driving extra kicks
+export const IntensityPoints = [0, 5, 12, 20];
+
+export function intensityFor(pointsIntoPhase) {
+  let level = 0;
+  while (level + 1 < IntensityPoints.length && pointsIntoPhase >= IntensityPoints[level + 1]) level++;
+  return level;
+}
+
+// key: MIDI note of the chord root register (A2 = 45); lead notes are
+// semitones above key + 36, null holds the previous note
+export function generateSong(phase) {
+  // Phase 0 keeps the original punk-ish riff (not from any song) in A: A5–D5–E5–D5
+  if (phase === 0) {
+    return {
+      key: 45,
+      scale: Scales.minor,
+      progression: [0, 3, 4, 3],
+      chordSteps: 2, // a chord per quarter note
+      kick: KickPatterns[0],
+      snare: SnarePatterns[0],
+      hat: HatPatterns[0],
+      drive: DriveKicks[0],
+      lead: [0, 0, 0, 2, 0, -2, 0, 2],
+    };
+  }
+  // Own stream per phase, apart from the theme's so colors stay as they were
+  const rand = seededRandom(phase * 7907 + 13);
+  const pick = (list) => list[Math.floor(rand() * list.length)];
+  const scaleNames = Object.keys(Scales);
+  const scale = Scales[scaleNames[Math.floor(rand() * scaleNames.length)]];
+  const key = 40 + Math.floor(rand() * 8); // E2..B2
+  const progression = pick(Progressions);
+  const chordSteps = pick([2, 4, 8]);
+  // Lead: a two-bar random walk over the scale, sometimes holding a note
+  const lead = [];
+  let degree = Math.floor(rand() * 5);
+  for (let i = 0; i < STEPS_PER_BAR * 2; i++) {
+    if (i > 0 && rand() < 0.25) {
+      lead.push(null);
+      continue;
+    }
+    degree = Math.max(0, Math.min(9, degree + Math.floor(rand() * 5) - 2));
+    lead.push(degreeToSemitones(scale, degree));
+  }
+  return {
+    key,
+    scale,
+    progression,
+    chordSteps,
+    kick: pick(KickPatterns),
+    snare: pick(SnarePatterns),
+    hat: pick(HatPatterns),
+    drive: pick(DriveKicks),
+    lead,
+  };
+}
+
+// Degrees past the scale's end climb into the next octave
+function degreeToSemitones(scale, degree) {
+  return scale[degree % scale.length] + 12 * Math.floor(degree / scale.length);
+}
+
+export function midiToFreq(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+// What plays on one eighth-note step: chord frequencies (root, fifth, octave),
+// which drums hit, and the lead frequency (null = hold or silent)
+export function songStep(song, step, intensity) {
+  const chordIndex = Math.floor(step / song.chordSteps) % song.progression.length;
+  const root = midiToFreq(song.key + degreeToSemitones(song.scale, song.progression[chordIndex]));
+  const beat = step % STEPS_PER_BAR;
+  const leadNote = song.lead[step % song.lead.length];
+  return {
+    chord: [root, root * 1.5, root * 2],
+    kick: !!song.kick[beat] || (intensity >= 3 && !!song.drive[beat]),
+    snare: !!song.snare[beat],
+    hat: intensity >= 1 && !!song.hat[beat],
+    lead: intensity >= 2 && leadNote !== null ? midiToFreq(song.key + 36 + leadNote) : null,
+  };
+}
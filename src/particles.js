@@ -0,0 +1,75 @@
+/*
+  Flip Spider - pooled particles for web sparks, pass bursts and crash debris.
+  Purely cosmetic: the shell spawns them from simulation events and they use
+  Math.random, never the run's seeded generators, so replays are unaffected.
+*/
+
+import { SIM_STEP_MS } from "./config.js";
+
+export const MAX_PARTICLES = 240;
+
+// Preallocated pool: live particles are pool[0..count), dead ones get swapped
+// past the end, so spawning and expiring never allocate
+export function createParticles(max = MAX_PARTICLES) {
+  const pool = [];
+  for (let i = 0; i < max; i++) {
+    pool.push({ x: 0, y: 0, vx: 0, vy: 0, gravity: 0, size: 0, color: "", life: 0, maxLife: 0 });
+  }
+  let count = 0;
+
+  // opts: {count, speed, spread (radians around angle), angle, drift (added vx),
+  //        gravity, size, life (ms), colors}
+  function burst(x, y, opts) {
+    const { speed = 3, angle = 0, spread = Math.PI * 2, drift = 0, gravity = 0, size = 3, life = 500 } = opts;
+    const colors = opts.colors || ["#ffffff"];
+    for (let i = 0; i < opts.count; i++) {
+      if (count === max) return; // full: the effect just gets thinner
+      const p = pool[count++];
+      const a = angle + (Math.random() - 0.5) * spread;
+      const v = speed * (0.4 + Math.random() * 0.6);
+      p.x = x;
+      p.y = y;
+      p.vx = Math.cos(a) * v + drift;
+      p.vy = Math.sin(a) * v;
+      p.gravity = gravity;
+      p.size = size * (0.6 + Math.random() * 0.8);
+      p.color = colors[i % colors.length];
+      p.life = p.maxLife = life * (0.7 + Math.random() * 0.6);
+    }
+  }
+
+  function update(dtMs) {
+    const k = dtMs / SIM_STEP_MS; // velocities are per 60 Hz step, like the sim
+    for (let i = 0; i < count; ) {
+      const p = pool[i];
+      p.life -= dtMs;
+      if (p.life <= 0) {
+        pool[i] = pool[count - 1];
+        pool[--count] = p;
+        continue;
+      }
+      p.vy += p.gravity * k;
+      p.x += p.vx * k;
+      p.y += p.vy * k;
+      i++;
+    }
+  }
+
+  function clear() {
+    count = 0;
+  }
+
+  function forEach(fn) {
+    for (let i = 0; i < count; i++) fn(pool[i]);
+  }
+
+  return {
+    burst,
+    update,
+    clear,
+    forEach,
+    get count() {
+      return count;
+    },
+  };
+}
@@ -0,0 +1,1147 @@
+/*
+  Flip Spider - canvas rendering: world, HUD and menu screens.
+  Reads the simulation; writes clickable hitboxes into the shared hud object.
+*/
+
+import {
+  VIEW_WIDTH,
+  VIEW_HEIGHT,
+  State,
+  physics,
+  GameMode,
+  Difficulty,
+  ObstacleKind,
+  PowerUp,
+  PowerUpInfo,
+  PICKUP_RADIUS,
+} from "./config.js";
+import { gapAt, hazardAt, anchorX, anchorY } from "./simulation.js";
+import { defaultTheme, highContrastColors, SKYLINE_TILE_WIDTH } from "./theme.js";
+import { RebindableKeys, keyLabel } from "./settings.js";
+import { clamp, lerp, mod } from "./util.js";
+import { challengeTitle, challengeSummary } from "./challenge.js";
+
+// hud: {best, leaderboard, theme, pauseButton, menuHitboxes, gameOverHitboxes, scoresHitboxes,
+//       settings, muted, keys, settingsHitboxes, rebinding, shakeMs, reducedMotion, focus, focusState, particles,
+//       beat, renderingSounds, clip, challenge, challengeIntro}
+const CRASH_FLASH_MS = 300;
+const BEAT_PULSE = 0.08; // score grows by this much on each beat
+
+export function createRenderer(ctx, sim, hud) {
+  const fallbackTheme = defaultTheme();
+  let mergedBase = null;
+  let mergedContrast = false;
+  let merged = null;
+
+  // Phase theme with the host's overrides (hud.theme) laid on top, and the
+  // high contrast colors over both when the player asked for them
+  function currentTheme() {
+    const base = sim.theme || fallbackTheme;
+    const contrast = hud.settings.highContrast;
+    if (!hud.theme && !contrast) return base;
+    if (base !== mergedBase || contrast !== mergedContrast) {
+      mergedBase = base;
+      mergedContrast = contrast;
+      merged = { ...base, ...hud.theme, ...(contrast && highContrastColors) };
+    }
+    return merged;
+  }
+
+  // alpha: fraction [0,1) of a sim step elapsed since the last update()
+  function render(alpha = 1) {
+    // Sky background (theme-based)
+    const sky = currentTheme();
+    const g = ctx.createLinearGradient(0, 0, 0, VIEW_HEIGHT);
+    g.addColorStop(0, sky.bgTop);
+    g.addColorStop(0.5, sky.bgMid);
+    g.addColorStop(1, sky.bgBot);
+    ctx.fillStyle = g;
+    ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+
+    const scroll = lerp(sim.prevScrollX, sim.scrollX, alpha);
+    // Reduced motion keeps the backdrop still: no parallax layers
+    const backdropScroll = hud.reducedMotion ? 0 : scroll;
+
+    // Screen shake moves the whole world; the sky above stays put
+    ctx.save();
+    if (hud.settings.shake && !hud.reducedMotion && hud.shakeMs > 0) {
+      const amp = Math.min(1, hud.shakeMs / 300) * 8;
+      ctx.translate((Math.random() * 2 - 1) * amp, (Math.random() * 2 - 1) * amp);
+    }
+
+    // Stars
+    drawStars(backdropScroll);
+
+    // Parallax far skyline
+    drawSkyline(backdropScroll * 0.4, 60, sky.skylineFar, sky.skylines.far);
+    // Near skyline
+    drawSkyline(backdropScroll * 0.8, 120, sky.skylineNear, sky.skylines.near);
+
+    // Obstacles (buildings with a gap)
+    for (const o of sim.obstacles.list) {
+      const x = lerp(o.prevX, o.x, alpha);
+      const age = lerp(o.prevAge, o.age, alpha);
+      const gap = gapAt(o, age);
+      drawBuildingPair(o, x, gap.gapY, gap.gapHeight);
+      const hazard = hazardAt(o, age, x, gap);
+      if (hazard) drawHazard(o, hazard, age);
+    }
+
+    for (const p of sim.pickups) {
+      drawPickup(p, lerp(p.prevX, p.x, alpha), lerp(p.prevY, p.y, alpha));
+    }
+
+    // Ground
+    drawGround(sky, scroll);
+
+    // Web effect
+    const px = lerp(sim.player.prevX, sim.player.x, alpha);
+    const py = lerp(sim.player.prevY, sim.player.y, alpha);
+    if (sim.webLine) drawWebLine(sim.webLine);
+    if (sim.tether) drawWebLine(tetherLine(px, py, alpha));
+    if (sim.webFizzle) drawWebFizzle(sim.webFizzle);
+
+    // Sparks, bursts and debris
+    drawParticles();
+
+    // Player
+    ctx.save();
+    if (sim.active.ghost > 0) ctx.globalAlpha = 0.45;
+    else if (sim.invulnerableMs > 0 && (hud.reducedMotion || Math.floor(sim.invulnerableMs / 100) % 2 === 0)) {
+      ctx.globalAlpha = 0.5; // blinks, or just dims with reduced motion
+    }
+    drawSpider(px, py, sim.player.radius, sim.player.vy, sim.player.spin);
+    ctx.restore();
+    if (sim.active.shield) drawShieldBubble(px, py);
+    ctx.restore();
+
+    // Crash flash, fading over the slow-mo beat
+    if (sim.state === State.Dying && !hud.reducedMotion && sim.dyingMs < CRASH_FLASH_MS) {
+      ctx.save();
+      ctx.globalAlpha = 0.7 * (1 - sim.dyingMs / CRASH_FLASH_MS);
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+      ctx.restore();
+    }
+
+    // HUD
+    drawHUD();
+  }
+
+  function drawStars(scroll) {
+    ctx.save();
+    const sky = currentTheme();
+    ctx.globalAlpha = 0.25;
+    ctx.fillStyle = sky.starColor;
+    const drift = scroll * 0.05; // far away: barely moves
+    for (let i = 0; i < 40; i++) {
+      const x = mod(i * 127 - drift, VIEW_WIDTH);
+      const y = (i * 61) % (VIEW_HEIGHT - 200);
+      ctx.fillRect(Math.floor(x), y, 1, 1);
+    }
+    ctx.restore();
+  }
+
+  // Draws a seamless silhouette tile repeatedly, shifted left by `offset`
+  function drawSkyline(offset, height, color, tile) {
+    ctx.save();
+    ctx.fillStyle = color;
+    const baseY = VIEW_HEIGHT - physics.floorHeight;
+    const start = -mod(offset, SKYLINE_TILE_WIDTH);
+    for (let tileX = start; tileX < VIEW_WIDTH; tileX += SKYLINE_TILE_WIDTH) {
+      for (const b of tile) {
+        const x = tileX + b.x;
+        if (x > VIEW_WIDTH || x + b.w < 0) continue;
+        const h = b.h * height;
+        ctx.fillRect(x, baseY - h, b.w, h);
+        if (b.step) ctx.fillRect(x + b.w * 0.2, baseY - h - b.step, b.w * 0.6, b.step);
+        if (b.antenna) ctx.fillRect(x + b.w / 2 - 1, baseY - h - b.antenna, 2, b.antenna);
+      }
+    }
+    ctx.restore();
+  }
+
+  function drawBuildingPair(o, x = o.x, gapY = o.gapY, gapHeight = o.gapHeight) {
+    const sky = currentTheme();
+    const colors = sky.buildingPalette;
+    const color = colors[o.colorIndex % colors.length];
+    ctx.fillStyle = color;
+    // top
+    ctx.fillRect(x, 0, o.width, gapY);
+    // bottom
+    ctx.fillRect(
+      x,
+      gapY + gapHeight,
+      o.width,
+      VIEW_HEIGHT - physics.floorHeight - (gapY + gapHeight)
+    );
+    // windows hint
+    ctx.fillStyle = sky.windowTint;
+    const winSize = 6;
+    for (let yy = 8; yy < gapY - 8; yy += 12) {
+      for (let xx = 4; xx < o.width - 6; xx += 10) {
+        ctx.fillRect(x + xx, yy, winSize, winSize);
+      }
+    }
+    const bottomTop = gapY + gapHeight;
+    const bottomH = VIEW_HEIGHT - physics.floorHeight - bottomTop;
+    for (let yy = bottomTop + 8; yy < bottomTop + bottomH - 8; yy += 12) {
+      for (let xx = 4; xx < o.width - 6; xx += 10) {
+        ctx.fillRect(x + xx, yy, winSize, winSize);
+      }
+    }
+    // hazard stripes on the lips of moving gaps
+    if (o.kind === ObstacleKind.Oscillate || o.kind === ObstacleKind.Breathe) {
+      ctx.fillStyle = "rgba(250, 204, 21, 0.85)";
+      ctx.fillRect(x, gapY - 4, o.width, 4);
+      ctx.fillRect(x, bottomTop, o.width, 4);
+      ctx.fillStyle = "rgba(15, 15, 15, 0.85)";
+      for (let xx = 0; xx < o.width; xx += 12) {
+        ctx.fillRect(x + xx, gapY - 4, 6, 4);
+        ctx.fillRect(x + xx + 6, bottomTop, 6, 4);
+      }
+    }
+  }
+
+  function drawHazard(o, h, age) {
+    const sky = currentTheme();
+    ctx.save();
+    if (o.kind === ObstacleKind.Wreck) {
+      // chain
+      ctx.strokeStyle = "rgba(200, 200, 210, 0.8)";
+      ctx.lineWidth = 2;
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(h.anchorX, h.anchorY);
+      ctx.lineTo(h.x, h.y);
+      ctx.stroke();
+      ctx.setLineDash([]);
+      // ball with a highlight
+      const gr = ctx.createRadialGradient(h.x - 5, h.y - 5, 2, h.x, h.y, h.r);
+      gr.addColorStop(0, "#6b7280");
+      gr.addColorStop(1, "#111827");
+      ctx.fillStyle = gr;
+      ctx.beginPath();
+      ctx.arc(h.x, h.y, h.r, 0, Math.PI * 2);
+      ctx.fill();
+    } else if (o.kind === ObstacleKind.Drone) {
+      // body
+      ctx.fillStyle = "#1f2937";
+      roundRect(ctx, h.x - h.r, h.y - h.r * 0.5, h.r * 2, h.r, 4);
+      ctx.fill();
+      // rotor arms + spinning blades
+      ctx.strokeStyle = sky.hudSecondary;
+      ctx.lineWidth = 2;
+      const blade = 7 * Math.abs(Math.cos(age * 0.8));
+      for (const side of [-1, 1]) {
+        const rx = h.x + side * (h.r + 2);
+        const ry = h.y - h.r * 0.7;
+        ctx.beginPath();
+        ctx.moveTo(h.x + side * h.r * 0.6, h.y - h.r * 0.3);
+        ctx.lineTo(rx, ry);
+        ctx.moveTo(rx - blade, ry);
+        ctx.lineTo(rx + blade, ry);
+        ctx.stroke();
+      }
+      // blinking warning light
+      ctx.fillStyle = hud.reducedMotion || Math.floor(age / 20) % 2 === 0 ? "#ef4444" : "#7f1d1d";
+      ctx.beginPath();
+      ctx.arc(h.x, h.y, 3, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  function drawGround(sky, scroll) {
+    const y = VIEW_HEIGHT - physics.floorHeight;
+    const g = ctx.createLinearGradient(0, y, 0, VIEW_HEIGHT);
+    g.addColorStop(0, sky.groundTop);
+    g.addColorStop(1, sky.groundBot);
+    ctx.fillStyle = g;
+    ctx.fillRect(0, y, VIEW_WIDTH, physics.floorHeight);
+    // dashed street lines
+    ctx.strokeStyle = "rgba(255,255,255,0.08)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([12, 16]);
+    ctx.lineDashOffset = mod(scroll, 28); // street moves with the buildings
+    ctx.beginPath();
+    ctx.moveTo(0, y + physics.floorHeight * 0.5);
+    ctx.lineTo(VIEW_WIDTH, y + physics.floorHeight * 0.5);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.lineDashOffset = 0;
+  }
+
+  // Swing tether as a web line: straight when taut, sagging when slack
+  function tetherLine(px, py, alpha) {
+    const ax = lerp(sim.tether.prevX, anchorX(sim.tether), alpha);
+    const ay = lerp(sim.tether.prevY, anchorY(sim.tether), alpha);
+    const slack = Math.max(0, sim.tether.length - Math.hypot(ax - px, ay - py));
+    return {
+      x1: px,
+      y1: py,
+      x2: ax,
+      y2: ay,
+      life: 180,
+      ctrlX: (px + ax) / 2,
+      ctrlY: (py + ay) / 2 + slack * 0.6,
+    };
+  }
+
+  function drawWebLine(l) {
+    ctx.save();
+    const lifeRatio = Math.max(0, Math.min(1, l.life / 180));
+    ctx.globalAlpha = lifeRatio;
+    ctx.strokeStyle = currentTheme().hudPrimary;
+    ctx.lineWidth = 2;
+
+    // Curved main strand (quadratic curve) from player to anchor;
+    // tethers pass their own control point so the curve follows the rope
+    const ctrlX = l.ctrlX ?? (l.x1 + l.x2) / 2 + (l.x2 - l.x1) * 0.05;
+    const ctrlY = l.ctrlY ?? Math.min(l.y1, l.y2) - 30; // slight arc upward
+    ctx.beginPath();
+    ctx.moveTo(l.x1, l.y1);
+    ctx.quadraticCurveTo(ctrlX, ctrlY, l.x2, l.y2);
+    sceneStroke();
+
+    // Concentric rings near the anchor
+    ctx.globalAlpha = lifeRatio * 0.7;
+    for (let i = 0; i < 3; i++) {
+      ctx.beginPath();
+      const r = 3 + i * 3 * (1 + (1 - lifeRatio));
+      ctx.arc(l.x2, l.y2, r, 0, Math.PI * 2);
+      sceneStroke();
+    }
+
+    // Cross strands along the curve
+    ctx.globalAlpha = lifeRatio * 0.6;
+    const steps = 5;
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      const x = (1 - t) * (1 - t) * l.x1 + 2 * (1 - t) * t * ctrlX + t * t * l.x2;
+      const y = (1 - t) * (1 - t) * l.y1 + 2 * (1 - t) * t * ctrlY + t * t * l.y2;
+      const nx = ctrlY - (l.y2 - l.y1); // rough normal hint
+      const ny = (l.x2 - l.x1) - ctrlX;
+      const k = 0.06;
+      ctx.beginPath();
+      ctx.moveTo(x - (l.y2 - l.y1) * k, y + (l.x2 - l.x1) * k);
+      ctx.lineTo(x + (l.y2 - l.y1) * k, y - (l.x2 - l.x1) * k);
+      sceneStroke();
+    }
+
+    ctx.restore();
+  }
+
+  function drawPickup(p, x, y) {
+    const sky = currentTheme();
+    const color = sky.pickupColors[p.type];
+    ctx.save();
+    // soft glow + ring so it reads against buildings and sky alike
+    ctx.globalAlpha = 0.35;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x, y, PICKUP_RADIUS + 6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.beginPath();
+    ctx.arc(x, y, PICKUP_RADIUS, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = sky.hudPrimary;
+    ctx.lineWidth = 2;
+    sceneStroke();
+    ctx.fillStyle = "#0b0b0b";
+    ctx.font = "800 12px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(PowerUpInfo[p.type].label, x, y + 1);
+    ctx.restore();
+  }
+
+  function drawShieldBubble(x, y) {
+    ctx.save();
+    ctx.strokeStyle = currentTheme().pickupColors[PowerUp.Shield];
+    ctx.globalAlpha = 0.7;
+    ctx.lineWidth = 3;
+    ctx.beginPath();
+    ctx.arc(x, y - sim.player.radius * 0.4, sim.player.radius * 1.9, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  function drawWebFizzle(f) {
+    ctx.save();
+    const lifeRatio = Math.max(0, Math.min(1, f.life / 240));
+    const rise = (1 - lifeRatio) * 14;
+    ctx.globalAlpha = lifeRatio * 0.8;
+    ctx.strokeStyle = currentTheme().hudSecondary;
+    ctx.lineWidth = 2;
+    // short broken strand that droops instead of reaching an anchor
+    ctx.setLineDash([3, 4]);
+    ctx.beginPath();
+    ctx.moveTo(f.x, f.y);
+    ctx.quadraticCurveTo(f.x + 14, f.y - 20, f.x + 22, f.y - 6 + rise);
+    sceneStroke();
+    ctx.setLineDash([]);
+    // little puff of droplets
+    ctx.fillStyle = ctx.strokeStyle;
+    for (let i = 0; i < 4; i++) {
+      const a = -Math.PI / 2 + (i - 1.5) * 0.5;
+      const d = 6 + (1 - lifeRatio) * 12;
+      ctx.fillRect(f.x + 22 + Math.cos(a) * d, f.y - 6 + Math.sin(a) * d, 2, 2);
+    }
+    ctx.restore();
+  }
+
+  function drawParticles() {
+    ctx.save();
+    hud.particles.forEach((p) => {
+      ctx.globalAlpha = Math.min(1, (p.life / p.maxLife) * 2); // fade out over the second half
+      ctx.fillStyle = p.color;
+      ctx.fillRect(p.x - p.size / 2, p.y - p.size / 2, p.size, p.size);
+    });
+    ctx.restore();
+  }
+
+  function drawSpider(x, y, r, vy = 0, spin = 0) {
+    ctx.save();
+    ctx.translate(x, y);
+    if (spin) ctx.rotate(spin); // tumbling after a crash
+    // Lean into the motion: tilt with vertical speed, stretch when fast
+    // (goes with the other effects under the Particles setting)
+    if (hud.settings.particles) {
+      const speed = clamp(Math.abs(vy) / physics.terminalVel, 0, 1);
+      ctx.rotate(clamp(vy * 0.035, -0.35, 0.45));
+      ctx.scale(1 - speed * 0.12, 1 + speed * 0.16);
+    }
+    drawSpiderArt(ctx, r);
+    ctx.restore();
+  }
+
+  function drawHUD() {
+    ctx.save();
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.textAlign = "center";
+    // Large score during play
+    if (sim.state === State.Playing || sim.state === State.Paused || sim.state === State.Dying) {
+      ctx.font = "700 48px system-ui, -apple-system, Segoe UI, Roboto";
+      // Pulses with the music's beat; cosmetic only, the sim keeps its own clock
+      const pulse =
+        hud.beat && sim.state === State.Playing && !hud.reducedMotion
+          ? 1 + BEAT_PULSE * Math.max(0, 1 - hud.beat.progress * 4)
+          : 1;
+      ctx.save();
+      ctx.translate(VIEW_WIDTH / 2, 90);
+      ctx.scale(pulse, pulse);
+      sceneText(String(sim.score), 0, 0);
+      ctx.restore();
+      if (sim.playback) {
+        ctx.font = "700 16px system-ui, -apple-system, Segoe UI, Roboto";
+        sceneText("REPLAY", VIEW_WIDTH / 2, 116);
+      }
+    }
+    if (hud.challenge && (sim.state === State.Playing || sim.state === State.Paused || sim.state === State.Dying)) {
+      drawChallengeBanner(hud.challenge);
+    }
+    if (sim.state === State.Playing || sim.state === State.Paused) {
+      drawWebMeter();
+      drawPowerUpTimers();
+    }
+    if (sim.state === State.Playing) drawPauseButton();
+    if (sim.state === State.Paused) drawPauseOverlay();
+
+    // Overlay prompts
+    if (sim.state === State.Menu && hud.challengeIntro) {
+      drawTitle();
+      drawChallengeIntro(hud.challengeIntro);
+    } else if (sim.state === State.Menu) {
+      drawTitle();
+      drawDifficultyMenu();
+      drawFocusRing(hud.menuHitboxes);
+    } else if (sim.state === State.Scores) {
+      drawScores();
+      drawFocusRing(hud.scoresHitboxes);
+    } else if (sim.state === State.Settings) {
+      drawSettings();
+      drawFocusRing(hud.settingsHitboxes);
+    } else if (sim.state === State.GameOver) {
+      // Title
+      ctx.font = "800 42px system-ui, -apple-system, Segoe UI, Roboto";
+      sceneText("Game Over", VIEW_WIDTH / 2, VIEW_HEIGHT * 0.32);
+      // Big score highlight
+      ctx.font = "900 66px system-ui, -apple-system, Segoe UI, Roboto";
+      sceneText(`Score ${sim.score}`, VIEW_WIDTH / 2, VIEW_HEIGHT * 0.42);
+      // Best and share prompt
+      ctx.font = "600 22px system-ui, -apple-system, Segoe UI, Roboto";
+      sceneText(`Best ${hud.best}`, VIEW_WIDTH / 2, VIEW_HEIGHT * 0.48);
+      ctx.font = "600 16px system-ui, -apple-system, Segoe UI, Roboto";
+      ctx.fillStyle = currentTheme().hudSecondary;
+      sceneText(`Seed ${sim.runSeed}`, VIEW_WIDTH / 2, VIEW_HEIGHT * 0.52);
+      ctx.fillStyle = currentTheme().hudPrimary;
+      ctx.font = "600 18px system-ui, -apple-system, Segoe UI, Roboto";
+      let subline = "Share this to challenge your friends!";
+      if (sim.playback) {
+        subline =
+          sim.score === sim.playback.replay.score
+            ? `Replay verified: score ${sim.score}`
+            : `Replay mismatch: recorded ${sim.playback.replay.score}`;
+      } else if (hud.challenge) {
+        subline = challengeSummary(hud.challenge, sim.score);
+      }
+      sceneText(subline, VIEW_WIDTH / 2, VIEW_HEIGHT * 0.56);
+
+      // Buttons: Play Again | Watch Replay, Back to Menu | Scores, Share Image | Clip,
+      // Save Square | Wide Card, Export | Import
+      const w = 340;
+      const h = 46;
+      const gap = 8;
+      const half = (w - gap) / 2;
+      const x = (VIEW_WIDTH - w) / 2;
+      const rows = [
+        [["play", "Play Again"], ["replay", "Watch Replay", !sim.lastRun]],
+        [["menu", "Back to Menu"], ["scores", "Scores"]],
+        [["share", "Share Image"], ["clip", "Share Clip", !hud.clip]],
+        [["cardSquare", "Save Square Card"], ["cardWide", "Save Wide Card"]],
+        [["export", "Export Replay", !sim.lastRun], ["import", "Import Replay"]],
+      ];
+      hud.gameOverHitboxes = [];
+      rows.forEach((row, i) => {
+        const y = VIEW_HEIGHT * 0.6 + i * (h + gap);
+        row.forEach(([type, label, disabled], j) => {
+          const bx = x + j * (half + gap);
+          drawButton(label, bx, y, half, h, disabled);
+          // Register hitboxes for clicks
+          hud.gameOverHitboxes.push({ type, x: bx, y: y - h / 2, w: half, h });
+        });
+      });
+      drawFocusRing(hud.gameOverHitboxes);
+    }
+    ctx.restore();
+  }
+
+  // Web fluid gauge, top-left; flashes while a fizzle is showing
+  function drawWebMeter() {
+    const x = 18;
+    const y = 28;
+    const w = 120;
+    const h = 12;
+    const sky = currentTheme();
+    const level = sim.player.webEnergy / sim.web.maxEnergy;
+    const ready = sim.player.webEnergy >= sim.web.cost;
+    ctx.save();
+    ctx.textAlign = "left";
+    ctx.font = "700 12px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillStyle = sky.hudSecondary;
+    ctx.fillText("WEB", x, y - 6);
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    roundRect(ctx, x, y, w, h, 6);
+    ctx.fill();
+    ctx.fillStyle = sim.webFizzle ? "#ff4655" : ready ? sky.hudPrimary : sky.hudSecondary;
+    if (level > 0) {
+      roundRect(ctx, x, y, Math.max(h, w * level), h, 6);
+      ctx.fill();
+    }
+    // tick marking the cost of one throw
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(x + w * (sim.web.cost / sim.web.maxEnergy), y, 2, h);
+    ctx.restore();
+  }
+
+  // Active power-ups under the web gauge; the ring empties as time runs out
+  function drawPowerUpTimers() {
+    const sky = currentTheme();
+    let x = 30;
+    const y = 64;
+    const r = 12;
+    ctx.save();
+    ctx.font = "800 11px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (const type of [PowerUp.Shield, PowerUp.Slow, PowerUp.Double, PowerUp.Ghost]) {
+      const left = type === PowerUp.Shield ? (sim.active.shield ? 1 : 0) : sim.active[type] / PowerUpInfo[type].durationMs;
+      if (left <= 0) continue;
+      ctx.fillStyle = "rgba(0,0,0,0.35)";
+      ctx.beginPath();
+      ctx.arc(x, y, r, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.strokeStyle = sky.pickupColors[type];
+      ctx.lineWidth = 3;
+      ctx.beginPath();
+      ctx.arc(x, y, r, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * left);
+      ctx.stroke();
+      ctx.fillStyle = sky.hudPrimary;
+      ctx.fillText(PowerUpInfo[type].label, x, y + 1);
+      x += r * 2 + 8;
+    }
+    ctx.restore();
+  }
+
+  // Target pill above the score; turns green once it's beaten
+  function drawChallengeBanner(challenge) {
+    const beaten = sim.score > challenge.score;
+    const label = beaten ? `${challenge.score} beaten!` : challengeTitle(challenge);
+    ctx.save();
+    ctx.font = "700 16px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "center";
+    const w = ctx.measureText(label).width + 28;
+    ctx.fillStyle = beaten ? "rgba(22, 163, 74, 0.85)" : "rgba(0,0,0,0.35)";
+    roundRect(ctx, (VIEW_WIDTH - w) / 2, 14, w, 28, 14);
+    ctx.fill();
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.fillText(label, VIEW_WIDTH / 2, 34);
+    ctx.restore();
+  }
+
+  // Menu for a challenge link: no difficulty picker, any tap starts the run
+  function drawChallengeIntro(challenge) {
+    hud.menuHitboxes = [];
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.font = "800 34px system-ui, -apple-system, Segoe UI, Roboto";
+    sceneText("Challenge!", VIEW_WIDTH / 2, VIEW_HEIGHT * 0.48);
+    ctx.font = "700 24px system-ui, -apple-system, Segoe UI, Roboto";
+    sceneText(challengeTitle(challenge), VIEW_WIDTH / 2, VIEW_HEIGHT * 0.48 + 40);
+    ctx.fillStyle = currentTheme().hudSecondary;
+    ctx.font = "600 16px system-ui, -apple-system, Segoe UI, Roboto";
+    sceneText(`Seed ${challenge.seed}`, VIEW_WIDTH / 2, VIEW_HEIGHT * 0.48 + 68);
+    const start = keysFor("action");
+    sceneText(start ? `Tap or press ${start} to start.` : "Tap to start.", VIEW_WIDTH / 2, VIEW_HEIGHT * 0.48 + 110);
+    ctx.restore();
+  }
+
+  function drawPauseButton() {
+    const b = hud.pauseButton;
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    roundRect(ctx, b.x, b.y, b.w, b.h, 10);
+    ctx.fill();
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.fillRect(b.x + 12, b.y + 10, 6, b.h - 20);
+    ctx.fillRect(b.x + b.w - 18, b.y + 10, 6, b.h - 20);
+    ctx.restore();
+  }
+
+  function drawPauseOverlay() {
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 8, 20, 0.55)";
+    ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+    ctx.textAlign = "center";
+    ctx.fillStyle = currentTheme().hudPrimary;
+    if (sim.resumeCountdownMs > 0) {
+      ctx.font = "900 96px system-ui, -apple-system, Segoe UI, Roboto";
+      ctx.fillText(String(Math.ceil(sim.resumeCountdownMs / 1000)), VIEW_WIDTH / 2, VIEW_HEIGHT * 0.5);
+    } else {
+      ctx.font = "800 42px system-ui, -apple-system, Segoe UI, Roboto";
+      ctx.fillText("Paused", VIEW_WIDTH / 2, VIEW_HEIGHT * 0.45);
+      ctx.font = "600 18px system-ui, -apple-system, Segoe UI, Roboto";
+      ctx.fillStyle = currentTheme().hudSecondary;
+      const resume = keysFor("action", "pause");
+      ctx.fillText(resume ? `Tap, or press ${resume} to resume` : "Tap to resume", VIEW_WIDTH / 2, VIEW_HEIGHT * 0.5);
+    }
+    ctx.restore();
+  }
+
+  function drawTitle() {
+    ctx.save();
+    ctx.textAlign = "center";
+    const titleY = VIEW_HEIGHT * 0.3;
+    ctx.font = "900 54px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillStyle = currentTheme().hudPrimary;
+    sceneText("Flip Spider", VIEW_WIDTH / 2, titleY);
+    ctx.font = "500 18px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillStyle = currentTheme().hudSecondary;
+    sceneText("Throw webs to vault between buildings.", VIEW_WIDTH / 2, titleY + 28);
+    sceneText("Pass Gaps to Score!", VIEW_WIDTH / 2, titleY + 50);
+    ctx.restore();
+  }
+
+  // Difficulty menu UI
+  function drawDifficultyMenu() {
+    const labels = [Difficulty.Easy, Difficulty.Medium, Difficulty.Hard];
+    const w = 320;
+    const h = 52;
+    const gap = 16;
+    const startY = VIEW_HEIGHT * 0.45;
+    const x = (VIEW_WIDTH - w) / 2;
+    hud.menuHitboxes = [];
+    for (let i = 0; i < labels.length; i++) {
+      const y = startY + i * (h + gap);
+      const isSelected = labels[i] === sim.selectedDifficulty;
+      drawMenuButton(x, y, w, h, labels[i], isSelected);
+      hud.menuHitboxes.push({ label: labels[i], x, y, w, h });
+    }
+    // hint text
+    ctx.fillStyle = "#c7d2fe";
+    ctx.font = "600 16px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "center";
+    const start = keysFor("action");
+    sceneText(
+      `Click a difficulty or press 1/2/3.${start ? ` Press ${start} to start.` : ""}`,
+      VIEW_WIDTH / 2,
+      startY + labels.length * (h + gap) + 6
+    );
+    // seed picker (S key or click)
+    const seedY = startY + labels.length * (h + gap) + 30;
+    const seedH = 40;
+    const seedLabel = sim.fixedSeed !== null ? `Seed ${sim.fixedSeed}` : "Seed: random";
+    drawMenuButton(x, seedY, w, seedH, `${seedLabel}  (S to change)`, false);
+    hud.menuHitboxes.push({ type: "seed", x, y: seedY, w, h: seedH });
+    const rowY = seedY + seedH + 12;
+    const half = (w - 12) / 2;
+    drawMenuButton(x, rowY, half, seedH, `Mode: ${sim.selectedMode} (G)`, sim.selectedMode !== GameMode.Classic);
+    hud.menuHitboxes.push({ type: "mode", x, y: rowY, w: half, h: seedH });
+    drawMenuButton(x + half + 12, rowY, half, seedH, "Scores", false);
+    hud.menuHitboxes.push({ type: "scores", x: x + half + 12, y: rowY, w: half, h: seedH });
+    // settings gear where the pause button sits during play
+    drawGearButton(hud.pauseButton);
+    hud.menuHitboxes.push({ type: "settings", ...hud.pauseButton });
+  }
+
+  // Keyboard / gamepad focus: a light ring inside a dark one shows on any background
+  function drawFocusRing(boxes) {
+    const b = hud.focusState === sim.state && boxes[hud.focus];
+    if (!b) return;
+    ctx.save();
+    for (const [color, width] of [
+      ["rgba(0,0,0,0.8)", 7],
+      ["#ffffff", 3],
+    ]) {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      roundRect(ctx, b.x - 5, b.y - 5, b.w + 10, b.h + 10, 16);
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  function drawGearButton(b) {
+    const cx = b.x + b.w / 2;
+    const cy = b.y + b.h / 2;
+    ctx.save();
+    ctx.globalAlpha = 0.7;
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    roundRect(ctx, b.x, b.y, b.w, b.h, 10);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.translate(cx, cy);
+    for (let i = 0; i < 8; i++) {
+      ctx.rotate(Math.PI / 4);
+      ctx.fillRect(-3, -14, 6, 6);
+    }
+    ctx.beginPath();
+    ctx.arc(0, 0, 10, 0, Math.PI * 2);
+    ctx.arc(0, 0, 4, 0, Math.PI * 2, true); // hole
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function drawSettings() {
+    const sky = currentTheme();
+    const settings = hud.settings;
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 8, 20, 0.6)";
+    ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+    ctx.textAlign = "center";
+    ctx.fillStyle = sky.hudPrimary;
+    ctx.font = "800 42px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillText("Settings", VIEW_WIDTH / 2, 86);
+    ctx.restore();
+    hud.settingsHitboxes = [];
+
+    const x = 40;
+    const w = VIEW_WIDTH - 80;
+    const h = 44;
+    let y = 120;
+    for (const [name, label] of [
+      ["musicVolume", "Music"],
+      ["sfxVolume", "Effects"],
+    ]) {
+      drawSlider(x, y, w, h, label, settings[name]);
+      // the hitbox is the track, so a tap sets the value under the finger
+      hud.settingsHitboxes.push({ type: "slider", name, x: x + 130, y, w: w - 150, h });
+      y += h + 8;
+    }
+    // On/off toggles, two per row
+    const muteKeys = hud.keys.mute.map(keyLabel).join("/");
+    const toggles = [
+      ["muted", muteKeys ? `Mute (${muteKeys})` : "Mute"],
+      ["fullscreen", "Fullscreen"],
+      ["shake", "Shake"],
+      ["particles", "Particles"],
+      ["highContrast", "High contrast"],
+      ["reducedMotion", "Less motion"],
+      ["oneSwitch", "Hold to rise"],
+    ];
+    const half = (w - 8) / 2;
+    toggles.forEach(([name, label], i) => {
+      const tx = x + (i % 2) * (half + 8);
+      const ty = y + Math.floor(i / 2) * (h + 8);
+      const on = name === "muted" ? hud.muted : settings[name];
+      drawMenuButton(tx, ty, half, h, `${label}: ${on ? "On" : "Off"}`, on);
+      hud.settingsHitboxes.push({ type: "toggle", name, x: tx, y: ty, w: half, h });
+    });
+    // The current phase's song and the effects as WAV files
+    const dx = x + (toggles.length % 2) * (half + 8);
+    const dy = y + Math.floor(toggles.length / 2) * (h + 8);
+    drawMenuButton(dx, dy, half, h, hud.renderingSounds ? "Rendering…" : "Download sounds", false);
+    hud.settingsHitboxes.push({ type: "download", x: dx, y: dy, w: half, h });
+    y += Math.ceil((toggles.length + 1) / 2) * (h + 8);
+
+    // Key bindings: tap a row, then press the new key
+    ctx.save();
+    ctx.textAlign = "center";
+    ctx.fillStyle = sky.hudSecondary;
+    ctx.font = "700 15px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillText("Keys (tap, then press a key; Esc cancels)", VIEW_WIDTH / 2, y + 18);
+    ctx.restore();
+    y += 30;
+    for (const { command, label } of RebindableKeys) {
+      const waiting = hud.rebinding === command;
+      const codes = hud.keys[command].map(keyLabel).join(" / ") || "none";
+      drawMenuButton(x, y, w, h, waiting ? `${label}: press a key…` : `${label}: ${codes}`, waiting);
+      hud.settingsHitboxes.push({ type: "key", name: command, x, y, w, h });
+      y += h + 8;
+    }
+
+    const backY = VIEW_HEIGHT - physics.floorHeight - 50;
+    drawCenteredButton("Back", backY);
+    const backW = 340;
+    hud.settingsHitboxes.push({ type: "back", x: (VIEW_WIDTH - backW) / 2, y: backY - 27, w: backW, h: 54 });
+  }
+
+  function drawSlider(x, y, w, h, label, value) {
+    const sky = currentTheme();
+    const trackX = x + 130;
+    const trackW = w - 150;
+    ctx.save();
+    ctx.fillStyle = "#263258";
+    roundRect(ctx, x, y, w, h, 12);
+    ctx.fill();
+    ctx.fillStyle = sky.hudPrimary;
+    ctx.font = "700 18px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "left";
+    ctx.fillText(`${label} ${Math.round(value * 100)}%`, x + 14, y + h / 2 + 6);
+    // track, filled part and knob
+    ctx.fillStyle = "rgba(255,255,255,0.2)";
+    roundRect(ctx, trackX, y + h / 2 - 3, trackW, 6, 3);
+    ctx.fill();
+    ctx.fillStyle = "#ff6b73";
+    roundRect(ctx, trackX, y + h / 2 - 3, trackW * value, 6, 3);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.arc(trackX + trackW * value, y + h / 2, 10, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function drawScores() {
+    const sky = currentTheme();
+    ctx.save();
+    ctx.fillStyle = "rgba(5, 8, 20, 0.6)";
+    ctx.fillRect(0, 0, VIEW_WIDTH, VIEW_HEIGHT);
+    ctx.textAlign = "center";
+    ctx.fillStyle = sky.hudPrimary;
+    ctx.font = "800 42px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillText(sim.scoresView.mode === GameMode.Classic ? "Scores" : `Scores: ${sim.scoresView.mode}`, VIEW_WIDTH / 2, 86);
+    hud.scoresHitboxes = [];
+
+    // Difficulty tabs
+    const labels = [Difficulty.Easy, Difficulty.Medium, Difficulty.Hard];
+    const tabW = 130;
+    const tabH = 40;
+    const tabGap = 10;
+    const tabsX = (VIEW_WIDTH - (tabW * 3 + tabGap * 2)) / 2;
+    for (let i = 0; i < labels.length; i++) {
+      const x = tabsX + i * (tabW + tabGap);
+      drawMenuButton(x, 110, tabW, tabH, labels[i], labels[i] === sim.scoresView.difficulty);
+      hud.scoresHitboxes.push({ type: "tab", label: labels[i], x, y: 110, w: tabW, h: tabH });
+    }
+    let tableY = 190;
+    // Seed filter, only offered when a seed is fixed
+    if (sim.fixedSeed !== null) {
+      const label = sim.scoresView.seed !== null ? `Seed ${sim.fixedSeed} only` : "All random seeds";
+      const w = tabW * 3 + tabGap * 2;
+      drawMenuButton(tabsX, 160, w, 34, `${label}  (tap to switch)`, sim.scoresView.seed !== null);
+      hud.scoresHitboxes.push({ type: "seed", x: tabsX, y: 160, w, h: 34 });
+      tableY = 230;
+    }
+
+    // Table
+    const list = hud.leaderboard.list(sim.scoresView.difficulty, sim.scoresView.seed, sim.scoresView.mode);
+    const cols = [40, 110, 200, 290, 380];
+    ctx.font = "700 15px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillStyle = sky.hudSecondary;
+    ["#", "Score", "Phase", "Time", "Date"].forEach((t, i) => ctx.fillText(t, cols[i] + 20, tableY));
+    ctx.font = "600 17px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.fillStyle = sky.hudPrimary;
+    if (list.length === 0) {
+      ctx.fillText("No runs yet", VIEW_WIDTH / 2, tableY + 44);
+    }
+    list.forEach((entry, i) => {
+      const y = tableY + 36 + i * 32;
+      const row = [
+        String(i + 1),
+        String(entry.score),
+        entry.phase === null ? "-" : String(entry.phase + 1),
+        formatDuration(entry.durationMs),
+        entry.date ? new Date(entry.date).toLocaleDateString() : "earlier",
+      ];
+      row.forEach((t, c) => ctx.fillText(t, cols[c] + 20, y));
+    });
+    ctx.restore();
+
+    const backY = VIEW_HEIGHT - physics.floorHeight - 50;
+    drawCenteredButton("Back", backY);
+    const w = 340;
+    hud.scoresHitboxes.push({ type: "back", x: (VIEW_WIDTH - w) / 2, y: backY - 27, w, h: 54 });
+  }
+
+  // Text straight on the scene; themes with a hudOutline (high contrast) ring it
+  // so light text still reads over pale buildings
+  function sceneText(text, x, y) {
+    const outline = currentTheme().hudOutline;
+    if (outline) {
+      ctx.save();
+      ctx.strokeStyle = outline;
+      ctx.lineWidth = 4;
+      ctx.lineJoin = "round";
+      ctx.strokeText(text, x, y);
+      ctx.restore();
+    }
+    ctx.fillText(text, x, y);
+  }
+
+  // Strokes the current path, over a wider hudOutline stroke when the theme has one
+  function sceneStroke() {
+    const outline = currentTheme().hudOutline;
+    if (outline) {
+      ctx.save();
+      ctx.strokeStyle = outline;
+      ctx.lineWidth += 2;
+      ctx.stroke();
+      ctx.restore();
+    }
+    ctx.stroke();
+  }
+
+  // Keys bound to the commands as the player knows them ("Space / Esc / P"), "" for none
+  function keysFor(...commands) {
+    return commands.flatMap((command) => hud.keys[command].map(keyLabel)).join(" / ");
+  }
+
+  function formatDuration(ms) {
+    if (ms === null || ms === undefined) return "-";
+    const total = Math.floor(ms / 1000);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, "0")}`;
+  }
+
+  function drawMenuButton(x, y, w, h, label, selected) {
+    ctx.save();
+    const r = 12;
+    const base1 = selected ? "#ff6b73" : "#34406a";
+    const base2 = selected ? "#c92434" : "#263258";
+    const gr = ctx.createLinearGradient(0, y, 0, y + h);
+    gr.addColorStop(0, base1);
+    gr.addColorStop(1, base2);
+    ctx.fillStyle = gr;
+    roundRect(ctx, x, y, w, h, r);
+    ctx.fill();
+    // label
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.font = "700 18px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "center";
+    ctx.fillText(label, x + w / 2, y + h / 2 + 6);
+    ctx.restore();
+  }
+
+  function drawCenteredButton(label, y) {
+    const w = 340;
+    drawButton(label, (VIEW_WIDTH - w) / 2, y, w, 54);
+  }
+
+  // y is the vertical center of the button
+  function drawButton(label, x, y, w, h, disabled = false) {
+    const r = 12;
+    ctx.save();
+    if (disabled) ctx.globalAlpha = 0.45;
+    // button base
+    const gr = ctx.createLinearGradient(0, y - h, 0, y + h);
+    gr.addColorStop(0, "#ff6672");
+    gr.addColorStop(1, "#bf1e2e");
+    ctx.fillStyle = gr;
+    roundRect(ctx, x, y - h / 2, w, h, r);
+    ctx.fill();
+    // label
+    ctx.fillStyle = currentTheme().hudPrimary;
+    ctx.font = "700 18px system-ui, -apple-system, Segoe UI, Roboto";
+    ctx.textAlign = "center";
+    ctx.fillText(label, x + w / 2, y + 6);
+    ctx.restore();
+  }
+
+  return { render };
+}
+
+export function roundRect(ctx, x, y, w, h, r) {
+  const rr = Math.min(r, w / 2, h / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + rr, y);
+  ctx.arcTo(x + w, y, x + w, y + h, rr);
+  ctx.arcTo(x + w, y + h, x, y + h, rr);
+  ctx.arcTo(x, y + h, x, y, rr);
+  ctx.arcTo(x, y, x + w, y, rr);
+  ctx.closePath();
+}
+
+// The spider itself, centered on the origin at radius r (also used by the share card)
+export function drawSpiderArt(ctx, r) {
+  // Funko-style proportions
+  const headWidth = r * 1.9;
+  const headHeight = r * 1.6;
+  const headX = -headWidth / 2;
+  const headY = -r * 1.55; // head sits above center
+  const headRadius = Math.min(headWidth, headHeight) * 0.28;
+
+  // Head base (red gradient)
+  const headGrad = ctx.createLinearGradient(0, headY, 0, headY + headHeight);
+  headGrad.addColorStop(0, "#ff5b60");
+  headGrad.addColorStop(1, "#bf1e2e");
+  ctx.fillStyle = headGrad;
+  roundRect(ctx, headX, headY, headWidth, headHeight, headRadius);
+  ctx.fill();
+
+  // Web pattern on the head (clipped)
+  ctx.save();
+  roundRect(ctx, headX, headY, headWidth, headHeight, headRadius);
+  ctx.clip();
+  ctx.strokeStyle = "rgba(0,0,0,0.5)";
+  ctx.lineWidth = 1.2;
+  // radials from approximate center
+  const cx = 0;
+  const cy = headY + headHeight * 0.45;
+  for (let a = -Math.PI * 0.1; a < Math.PI * 1.1; a += Math.PI / 6) {
+    ctx.beginPath();
+    ctx.moveTo(cx, cy);
+    ctx.lineTo(
+      cx + Math.cos(a) * (headWidth * 0.7),
+      cy + Math.sin(a) * (headHeight * 0.7)
+    );
+    ctx.stroke();
+  }
+  // concentric arcs
+  for (let rr = headHeight * 0.25; rr <= headHeight * 0.75; rr += headHeight * 0.17) {
+    ctx.beginPath();
+    ctx.ellipse(cx, cy, rr * 0.95, rr, 0, 0, Math.PI * 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Eyes (big white eyes with dark outline)
+  const eyeStroke = "#0b0b0b";
+  ctx.lineWidth = 2.2;
+  // Left eye
+  ctx.fillStyle = "#ffffff";
+  ctx.beginPath();
+  ctx.ellipse(
+    -headWidth * 0.26,
+    headY + headHeight * 0.45,
+    headWidth * 0.24,
+    headHeight * 0.2,
+    -0.35,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+  ctx.strokeStyle = eyeStroke;
+  ctx.stroke();
+  // Right eye
+  ctx.beginPath();
+  ctx.ellipse(
+    headWidth * 0.26,
+    headY + headHeight * 0.45,
+    headWidth * 0.24,
+    headHeight * 0.2,
+    0.35,
+    0,
+    Math.PI * 2
+  );
+  ctx.fill();
+  ctx.stroke();
+
+  // Tiny body (blue suit with red upper chest)
+  const bodyWidth = r * 1.1;
+  const bodyHeight = r * 1.15;
+  const bodyX = -bodyWidth / 2;
+  const bodyY = -r * 0.25;
+  const bodyRadius = Math.min(bodyWidth, bodyHeight) * 0.2;
+  // base blue
+  ctx.fillStyle = "#1b3f8a";
+  roundRect(ctx, bodyX, bodyY, bodyWidth, bodyHeight, bodyRadius);
+  ctx.fill();
+  // upper chest red panel
+  ctx.fillStyle = "#c7232f";
+  roundRect(
+    ctx,
+    bodyX + 4,
+    bodyY + 4,
+    bodyWidth - 8,
+    bodyHeight * 0.42,
+    bodyRadius * 0.8
+  );
+  ctx.fill();
+
+  // Spider emblem (simple)
+  ctx.save();
+  ctx.fillStyle = "#0b0b0b";
+  ctx.translate(0, bodyY + bodyHeight * 0.28);
+  ctx.beginPath();
+  ctx.ellipse(0, 0, 6, 4, 0, 0, Math.PI * 2);
+  ctx.fill();
+  // legs
+  ctx.lineWidth = 1.4;
+  ctx.strokeStyle = "#0b0b0b";
+  for (let i = -1; i <= 1; i += 2) {
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(6 * i, -4);
+    ctx.moveTo(0, 1.5);
+    ctx.lineTo(6 * i, 0.5);
+    ctx.moveTo(0, 3);
+    ctx.lineTo(6 * i, 3.5);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Arms
+  ctx.fillStyle = "#1b3f8a";
+  const armW = r * 0.35;
+  const armH = r * 0.28;
+  roundRect(ctx, bodyX - armW * 0.8, bodyY + 12, armW, armH, 8);
+  ctx.fill();
+  roundRect(ctx, -bodyX - armW * 0.2, bodyY + 12, armW, armH, 8);
+  ctx.fill();
+  // red gloves
+  ctx.fillStyle = "#c7232f";
+  roundRect(ctx, bodyX - armW * 0.8, bodyY + 12 + armH - 8, armW, 10, 6);
+  ctx.fill();
+  roundRect(ctx, -bodyX - armW * 0.2, bodyY + 12 + armH - 8, armW, 10, 6);
+  ctx.fill();
+
+  // Legs
+  ctx.fillStyle = "#1b3f8a";
+  const legW = r * 0.32;
+  const legH = r * 0.45;
+  const legsY = bodyY + bodyHeight - 6;
+  roundRect(ctx, -legW - 6, legsY, legW, legH, 8);
+  ctx.fill();
+  roundRect(ctx, 6, legsY, legW, legH, 8);
+  ctx.fill();
+  // red boots
+  ctx.fillStyle = "#c7232f";
+  roundRect(ctx, -legW - 6, legsY + legH - 10, legW, 12, 6);
+  ctx.fill();
+  roundRect(ctx, 6, legsY + legH - 10, legW, 12, 6);
+  ctx.fill();
+}
@@ -0,0 +1,34 @@
+/*
+  Flip Spider - replay files: {version, seed, difficulty, mode, score, steps, events}
+  where events are [[simStep, "web" | "hold" | "release"], ...].
+*/
+
+import { REPLAY_VERSION, DifficultyPresets, GameMode } from "./config.js";
+
+const Actions = ["web", "hold", "release"];
+
+// Validate untrusted replay JSON; returns a clean copy or null
+export function parseReplay(data) {
+  if (!data || data.version !== REPLAY_VERSION) return null;
+  if (!DifficultyPresets[data.difficulty]) return null;
+  const mode = data.mode === undefined ? GameMode.Classic : data.mode;
+  if (!GameMode[mode]) return null;
+  if (!Number.isInteger(data.seed) || !Array.isArray(data.events)) return null;
+  const events = [];
+  let prevStep = 0;
+  for (const ev of data.events) {
+    if (!Array.isArray(ev) || !Number.isInteger(ev[0]) || ev[0] < prevStep) return null;
+    if (!Actions.includes(ev[1])) return null; // playback would take it for a throw
+    events.push([ev[0], ev[1]]);
+    prevStep = ev[0];
+  }
+  return {
+    version: REPLAY_VERSION,
+    seed: data.seed >>> 0,
+    difficulty: data.difficulty,
+    mode,
+    score: Number(data.score) || 0,
+    steps: Number(data.steps) || 0,
+    events,
+  };
+}
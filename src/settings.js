@@ -0,0 +1,78 @@
+/*
+  Flip Spider - player settings (volumes, mute, fullscreen, effects, accessibility, key bindings),
+  persisted in localStorage and shared by every game on the page.
+*/
+
+import { DefaultKeys } from "./config.js";
+import { clamp } from "./util.js";
+
+const SETTINGS_KEY = "flipspider.settings";
+
+export const DefaultSettings = {
+  musicVolume: 0.5, // 0..1
+  sfxVolume: 0.8, // 0..1
+  muted: false,
+  fullscreen: false, // go fullscreen on the first tap
+  shake: true, // screen shake on hits
+  particles: true,
+  highContrast: false, // flat dark sky, pale buildings
+  reducedMotion: false, // no parallax, shake or flashing; the system preference also turns it on
+  oneSwitch: false, // Classic: hold to rise, let go to fall
+  keys: {}, // rebound commands only: {command: [KeyboardEvent.code]}
+};
+
+// Commands offered for rebinding on the settings screen, with their labels
+export const RebindableKeys = [
+  { command: "action", label: "Throw web" },
+  { command: "pause", label: "Pause" },
+  { command: "mute", label: "Mute" },
+];
+
+// Binds command to a single key (code). keys: the bindings in effect. Another
+// rebindable command using that key gives it up, so a key never does two things;
+// if it was that command's only key, it takes over command's old ones.
+export function rebindKey(settings, keys, command, code) {
+  const previous = keys[command];
+  settings.keys[command] = [code];
+  for (const { command: other } of RebindableKeys) {
+    if (other === command || !keys[other].includes(code)) continue;
+    const rest = keys[other].filter((c) => c !== code);
+    settings.keys[other] = rest.length ? rest : previous.filter((c) => c !== code);
+  }
+}
+
+// Saved values are untrusted: anything missing or malformed falls back to the default
+export function loadSettings(storage) {
+  let saved = {};
+  try {
+    const parsed = JSON.parse(storage.getItem(SETTINGS_KEY) || "{}");
+    if (parsed && typeof parsed === "object") saved = parsed;
+  } catch {}
+  const settings = { ...DefaultSettings, keys: {} };
+  for (const name of ["musicVolume", "sfxVolume"]) {
+    if (Number.isFinite(saved[name])) settings[name] = clamp(saved[name], 0, 1);
+  }
+  for (const name of ["muted", "fullscreen", "shake", "particles", "highContrast", "reducedMotion", "oneSwitch"]) {
+    if (typeof saved[name] === "boolean") settings[name] = saved[name];
+  }
+  const keys = saved.keys && typeof saved.keys === "object" ? saved.keys : {};
+  for (const command of Object.keys(DefaultKeys)) {
+    const codes = keys[command];
+    if (Array.isArray(codes) && codes.length && codes.every((c) => typeof c === "string")) {
+      settings.keys[command] = codes.slice();
+    }
+  }
+  return settings;
+}
+
+export function saveSettings(storage, settings) {
+  try {
+    storage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch {}
+}
+
+// "KeyP" -> "P", "Digit1" -> "1", "Escape" -> "Esc"
+export function keyLabel(code) {
+  if (code === "Escape") return "Esc";
+  return code.replace(/^(Key|Digit)/, "");
+}
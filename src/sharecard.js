@@ -0,0 +1,107 @@
+/*
+  Flip Spider - share cards: an off-screen image of a finished run (theme sky,
+  the spider, score and run details) instead of a grab of the live canvas.
+*/
+
+import { GameMode } from "./config.js";
+import { drawSpiderArt } from "./render.js";
+
+export const ShareCardSizes = {
+  square: { width: 1080, height: 1080 }, // Instagram and most chat apps
+  wide: { width: 1200, height: 630 }, // link previews (Open Graph, X, Facebook)
+};
+
+const SPIDER_RADIUS = 18; // the player's; the art has fixed offsets tuned to it
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto";
+
+// Text lines under the score, shared by both layouts
+export function shareCardLines(card) {
+  const mode = card.mode === GameMode.Classic ? "" : ` · ${card.mode}`;
+  return [
+    `Best ${card.best}`,
+    `${card.difficulty}${mode} · Phase ${card.phase + 1}`,
+    `Seed ${card.seed} · ${new Date(card.date).toLocaleDateString()}`,
+  ];
+}
+
+// card: {theme, score, best, difficulty, mode, phase, seed, date}
+export function drawShareCard(ctx, width, height, card) {
+  const theme = card.theme;
+  ctx.save();
+  const g = ctx.createLinearGradient(0, 0, 0, height);
+  g.addColorStop(0, theme.bgTop);
+  g.addColorStop(0.5, theme.bgMid);
+  g.addColorStop(1, theme.bgBot);
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, width, height);
+  drawWeb(ctx, width, height, theme);
+
+  // Square: spider above the text; wide: spider on the left third
+  const wide = width > height * 1.2;
+  const unit = Math.min(width, height) / 100;
+  const spiderX = wide ? width * 0.24 : width / 2;
+  const spiderY = wide ? height * 0.52 : height * 0.3;
+  const textX = wide ? width * 0.64 : width / 2;
+  let y = wide ? height * 0.3 : height * 0.52;
+
+  // Thread from the top edge down to the spider
+  ctx.strokeStyle = "rgba(255,255,255,0.85)";
+  ctx.lineWidth = unit * 0.5;
+  ctx.beginPath();
+  ctx.moveTo(spiderX, 0);
+  ctx.lineTo(spiderX, spiderY - unit * 12);
+  ctx.stroke();
+  ctx.save();
+  ctx.translate(spiderX, spiderY);
+  ctx.scale((unit * 11) / SPIDER_RADIUS, (unit * 11) / SPIDER_RADIUS);
+  drawSpiderArt(ctx, SPIDER_RADIUS);
+  ctx.restore();
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = theme.hudSecondary;
+  ctx.font = `800 ${unit * 7}px ${FONT}`;
+  ctx.fillText("FLIP SPIDER", textX, y);
+  y += unit * 20;
+  ctx.fillStyle = theme.hudPrimary;
+  ctx.font = `900 ${unit * 22}px ${FONT}`;
+  ctx.fillText(String(card.score), textX, y);
+  y += unit * 9;
+  ctx.font = `600 ${unit * 5}px ${FONT}`;
+  for (const line of shareCardLines(card)) {
+    ctx.fillText(line, textX, y);
+    y += unit * 7;
+  }
+  ctx.restore();
+}
+
+// Faint corner web, so the card reads as the game's even with a plain sky
+function drawWeb(ctx, width, height, theme) {
+  const size = Math.min(width, height) * 0.45;
+  ctx.save();
+  ctx.translate(width, 0);
+  ctx.strokeStyle = theme.starColor;
+  ctx.globalAlpha = 0.18;
+  ctx.lineWidth = Math.max(1, size / 200);
+  for (let i = 0; i <= 6; i++) {
+    const a = Math.PI / 2 + (i / 6) * (Math.PI / 2);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(Math.cos(a) * size * 1.2, Math.sin(a) * size * 1.2);
+    ctx.stroke();
+  }
+  for (let ring = 1; ring <= 4; ring++) {
+    ctx.beginPath();
+    ctx.arc(0, 0, (size * ring) / 4, Math.PI / 2, Math.PI);
+    ctx.stroke();
+  }
+  ctx.restore();
+}
+
+// size: a ShareCardSizes entry; returns a canvas holding the card
+export function createShareCard(size, card) {
+  const canvas = document.createElement("canvas");
+  canvas.width = size.width;
+  canvas.height = size.height;
+  drawShareCard(canvas.getContext("2d"), size.width, size.height, card);
+  return canvas;
+}
@@ -0,0 +1,1005 @@
+/*
+  Flip Spider - game simulation: player, obstacles, scoring, difficulty ramp,
+  power-ups, replays and the state machine. No DOM, canvas or Web Audio here;
+  the browser shell listens to the events it emits (see on()).
+*/
+
+import {
+  VIEW_WIDTH,
+  VIEW_HEIGHT,
+  SIM_STEP_MS,
+  State,
+  RESUME_COUNTDOWN_MS,
+  PHASE_POINTS,
+  DYING_MS,
+  DYING_SLOWMO_MS,
+  DYING_SLOWMO_SCALE,
+  physics,
+  PLAYER_HOME_X,
+  PLAYER_START_Y,
+  GameMode,
+  SWING_THROW_ANGLE,
+  HOLD_RISE_ACCEL,
+  HOLD_RISE_SPEED,
+  HOLD_RISE_DRAIN,
+  Difficulty,
+  DifficultyPresets,
+  ObstacleKind,
+  ObstacleVariants,
+  DRONE_RADIUS,
+  WRECK_RADIUS,
+  PowerUp,
+  PowerUpInfo,
+  PICKUP_RADIUS,
+  SHIELD_GRACE_MS,
+  REPLAY_VERSION,
+} from "./config.js";
+import { generateTheme } from "./theme.js";
+import {
+  seededRandom,
+  randomSeed,
+  shrinkRect,
+  clamp,
+  rayRectDistance,
+  circleCircleCollision,
+  circleRectCollision,
+} from "./util.js";
+
+// Gap placement at a (possibly fractional) age, kept inside the playfield
+export function gapAt(o, age) {
+  const floorY = VIEW_HEIGHT - physics.floorHeight;
+  if (o.kind === ObstacleKind.Oscillate) {
+    const amp = Math.min(70, o.baseGapY - 60, floorY - 60 - (o.baseGapY + o.baseGapHeight));
+    const y = o.baseGapY + Math.max(0, amp) * Math.sin(o.wave + (age * Math.PI * 2) / 180);
+    return { gapY: y, gapHeight: o.baseGapHeight };
+  }
+  if (o.kind === ObstacleKind.Breathe) {
+    const amp = Math.min(30, (o.baseGapHeight - 100) / 2);
+    const h = o.baseGapHeight - Math.max(0, amp) * (1 + Math.sin(o.wave + (age * Math.PI * 2) / 150));
+    return { gapY: o.baseGapY + (o.baseGapHeight - h) / 2, gapHeight: h };
+  }
+  return { gapY: o.baseGapY, gapHeight: o.baseGapHeight };
+}
+
+// Hazard inside the gap as a circle {x, y, r} (plus chain anchor for balls), or null
+export function hazardAt(o, age, x = o.x, gap = o) {
+  if (o.kind === ObstacleKind.Drone) {
+    const t = o.wave + (age * Math.PI * 2) / 120;
+    const patrol = Math.max(0, gap.gapHeight / 2 - DRONE_RADIUS - 40);
+    return {
+      x: x + o.width / 2 + Math.cos(t * 2) * 6,
+      y: gap.gapY + gap.gapHeight / 2 + Math.sin(t) * patrol,
+      r: DRONE_RADIUS,
+    };
+  }
+  if (o.kind === ObstacleKind.Wreck) {
+    const angle = 0.9 * Math.sin(o.wave + (age * Math.PI * 2) / 140);
+    const chain = gap.gapHeight * 0.35;
+    const ax = x + o.width / 2;
+    const ay = gap.gapY;
+    return {
+      x: ax + Math.sin(angle) * chain,
+      y: ay + Math.cos(angle) * chain,
+      r: WRECK_RADIUS,
+      anchorX: ax,
+      anchorY: ay,
+    };
+  }
+  return null;
+}
+
+export function anchorX(t) {
+  return t.o ? t.o.x + t.offsetX : t.x;
+}
+
+export function anchorY(t) {
+  return t.o ? Math.min(t.o.gapY, t.o.gapY + t.offsetY) : t.y;
+}
+
+export function createSimulation() {
+  let gameState = State.Menu;
+  let resumeCountdownMs = 0; // > 0 while the resume countdown is running
+
+  /** Player (our web-slinger) */
+  const player = {
+    x: PLAYER_HOME_X,
+    y: PLAYER_START_Y,
+    radius: 18,
+    vx: 0, // only non-zero in Swing mode (screen-relative)
+    vy: 0,
+    prevX: PLAYER_HOME_X,
+    prevY: PLAYER_START_Y, // y at the previous sim step (render interpolation)
+    alive: true,
+    webCooldownMs: 0,
+    webEnergy: 100,
+    spin: 0, // tumble angle while dying
+  };
+
+  // Web fluid: each throw costs energy that refills over time (set per difficulty)
+  const web = {
+    maxEnergy: 100,
+    cost: 18,
+    regenPerSec: 32,
+    cooldownMs: 120,
+  };
+
+  const obstacles = {
+    list: [],
+    speed: 3.2,
+    minGap: 140,
+    maxGap: 185,
+    spacing: 220, // horizontal spacing between building pairs
+    width: 70,
+    lastSpawnX: 0,
+  };
+
+  let score = 0;
+
+  /** Run seed: all gameplay randomness comes from these generators */
+  let fixedSeed = null; // null means a fresh seed per run
+  let runSeed = 0;
+  let rng = seededRandom(1); // building layout
+  let webRng = seededRandom(2); // web anchors; separate so taps don't shift the layout
+  let itemRng = seededRandom(3); // power-up spawns; separate so layouts match older seeds
+  let hazardRng = seededRandom(4); // obstacle variants; same reason
+
+  /** Replays: every run logs its inputs per sim step so it can be re-simulated */
+  let simStep = 0; // sim steps completed in the current run
+  let recording = []; // [[step, action], ...] for the run in progress
+  let lastRun = null; // {version, seed, difficulty, mode, score, steps, events}
+  let playback = null; // {replay, index} while watching a replay
+
+  /** Web visual effect */
+  let webLine = null; // {x1,y1,x2,y2,life}
+  let webFizzle = null; // {x,y,life} failed throw (cooldown or empty tank)
+
+  /** Infinite phases (theme + music) */
+  let currentPhase = 0;
+  let theme = null;
+
+  /** Background scroll: world distance travelled, shared by all parallax layers */
+  let scrollX = 0;
+  let prevScrollX = 0;
+
+  const pickups = []; // {type, x, y, prevX, prevY}
+  // ms left per timed power-up; shield is a boolean charge
+  const active = { shield: false, slow: 0, double: 0, ghost: 0 };
+  let invulnerableMs = 0;
+  let dyingMs = 0; // time since the crash, while State.Dying
+
+  let selectedMode = GameMode.Classic;
+  let runMode = GameMode.Classic; // mode of the run in progress (replays override)
+
+  /** One-switch control: in Classic, holding the button climbs instead of vaulting */
+  let holdToRise = false;
+  let holding = false; // button held down in the run in progress
+
+  /** Swing mode tether: {o, offsetX, offsetY, x, y, prevX, prevY, length} */
+  // o is the building the web stuck to (null = ceiling); the anchor scrolls with it
+  let tether = null;
+
+  let selectedDifficulty = Difficulty.Medium;
+  // Positive padding makes collisions more forgiving; negative makes harder
+  let collisionPadding = 0;
+  let powerUpChance = 0;
+  let powerUpWeights = {};
+
+  let scoresView = {
+    returnTo: State.Menu,
+    difficulty: Difficulty.Medium,
+    seed: null,
+    mode: GameMode.Classic,
+  };
+
+  /** Events: runStart, webThrown, fizzle, pickup, shieldHit, score, phaseChange, crash, gameOver, pause, resume */
+  const listeners = {};
+
+  function on(type, fn) {
+    (listeners[type] || (listeners[type] = [])).push(fn);
+    return () => {
+      listeners[type] = listeners[type].filter((f) => f !== fn);
+    };
+  }
+
+  function emit(type, detail) {
+    for (const fn of listeners[type] || []) fn(detail);
+  }
+
+  /** Input */
+  // source "replay" means the event came from the replay log, not the player
+  function handleAction(source = "player") {
+    if (gameState === State.Scores) {
+      closeScores();
+      return;
+    }
+    if (gameState === State.Settings) {
+      openMenu();
+      return;
+    }
+    if (gameState === State.Menu) {
+      startGameWithDifficulty(selectedDifficulty, true);
+      return;
+    }
+    if (gameState === State.Dying) return; // a panicked tap must not skip to Play Again
+    if (gameState === State.GameOver) {
+      restart();
+      return;
+    }
+    if (gameState === State.Paused) {
+      if (source !== "replay") resumeGame();
+      return;
+    }
+    if (gameState === State.Playing) {
+      if (playback && source !== "replay") return; // watching, not playing
+      // replays log "hold" separately, so their plain actions are always throws
+      if (holdToRise && runMode === GameMode.Classic && source !== "replay") startHold();
+      else impulse();
+    }
+  }
+
+  // Button/key let go: in Swing mode this lets go of the web, with
+  // hold-to-rise it stops the climb
+  function handleRelease(source = "player") {
+    if (gameState !== State.Playing || !(tether || holding)) return;
+    if (playback && source !== "replay") return;
+    if (!playback) recording.push([simStep, "release"]);
+    tether = null;
+    holding = false;
+  }
+
+  // Pays for the strand like a throw, then drains the meter while held (update)
+  function startHold() {
+    if (!playback) recording.push([simStep, "hold"]);
+    if (player.webCooldownMs > 0 || player.webEnergy < web.cost) {
+      fizzle();
+      return;
+    }
+    player.webEnergy -= web.cost;
+    player.webCooldownMs = web.cooldownMs;
+    holding = true;
+    emit("webThrown");
+  }
+
+  /** Pause / resume */
+  function pauseGame() {
+    if (gameState === State.Paused) {
+      resumeCountdownMs = 0; // pausing again cancels a running countdown
+      return;
+    }
+    if (gameState !== State.Playing) return;
+    // the release would arrive while paused and be lost, so let go now
+    if (holding || tether) handleRelease();
+    gameState = State.Paused;
+    resumeCountdownMs = 0;
+    emit("pause");
+  }
+
+  function resumeGame() {
+    if (gameState !== State.Paused || resumeCountdownMs > 0) return;
+    resumeCountdownMs = RESUME_COUNTDOWN_MS;
+  }
+
+  function togglePause() {
+    if (gameState === State.Playing) pauseGame();
+    else if (gameState === State.Paused) {
+      if (resumeCountdownMs > 0) pauseGame();
+      else resumeGame();
+    }
+  }
+
+  function updateResumeCountdown(frameMs) {
+    if (gameState !== State.Paused || resumeCountdownMs <= 0) return;
+    resumeCountdownMs -= frameMs;
+    if (resumeCountdownMs <= 0) {
+      resumeCountdownMs = 0;
+      gameState = State.Playing;
+      emit("resume"); // the loop drops the time spent paused
+    }
+  }
+
+  function impulse() {
+    if (!playback) recording.push([simStep, "web"]);
+    if (player.webCooldownMs > 0 || player.webEnergy < web.cost) {
+      fizzle();
+      return;
+    }
+    player.webEnergy -= web.cost;
+    player.webCooldownMs = web.cooldownMs;
+    if (runMode === GameMode.Swing) {
+      attachWeb();
+      emit("webThrown");
+      return;
+    }
+    player.vy = physics.thrust;
+    const attachY = Math.max(40, player.y - 120);
+    const attachX = player.x + (webRng() * 60 - 30);
+    webLine = {
+      x1: player.x,
+      y1: player.y,
+      x2: attachX,
+      y2: attachY,
+      life: 180, // ms
+    };
+    emit("webThrown");
+  }
+
+  // Swing mode: shoot the web up-forward and stick to whatever it meets first
+  function attachWeb() {
+    const dx = Math.cos(SWING_THROW_ANGLE);
+    const dy = -Math.sin(SWING_THROW_ANGLE);
+    // The ceiling is always there as a fallback
+    let bestT = player.y / -dy;
+    let bestO = null;
+    for (const o of obstacles.list) {
+      const t = rayRectDistance(player.x, player.y, dx, dy, o.x, 0, o.width, o.gapY);
+      if (t !== null && t < bestT) {
+        bestT = t;
+        bestO = o;
+      }
+    }
+    const x = player.x + dx * bestT;
+    const y = player.y + dy * bestT;
+    tether = {
+      o: bestO,
+      offsetX: bestO ? x - bestO.x : 0,
+      offsetY: bestO ? y - bestO.gapY : 0, // moving gaps carry the anchor along
+      x,
+      y,
+      prevX: x,
+      prevY: y,
+      length: bestT,
+    };
+    webLine = null;
+  }
+
+  // Throw failed: no boost, just a sputter of web fluid
+  function fizzle() {
+    webFizzle = { x: player.x + 6, y: player.y - player.radius, life: 240 };
+    emit("fizzle");
+  }
+
+  /** Obstacles */
+  function clearObstacles() {
+    obstacles.list.length = 0;
+    obstacles.lastSpawnX = 0;
+  }
+
+  function spawnIfNeeded() {
+    const farthestX = obstacles.list.length
+      ? obstacles.list[obstacles.list.length - 1].x
+      : VIEW_WIDTH;
+    if (
+      obstacles.list.length === 0 ||
+      farthestX < VIEW_WIDTH - obstacles.spacing
+    ) {
+      const gap = randRange(obstacles.minGap, obstacles.maxGap);
+      const gapY = randRange(80, VIEW_HEIGHT - physics.floorHeight - 80 - gap);
+      const o = {
+        x: VIEW_WIDTH + obstacles.width,
+        y: 0,
+        width: obstacles.width,
+        gapY,
+        gapHeight: gap,
+        prevX: VIEW_WIDTH + obstacles.width,
+        passed: false,
+        colorIndex: Math.floor(rng() * 3),
+        kind: pickObstacleKind(),
+        baseGapY: gapY,
+        baseGapHeight: gap,
+        wave: hazardRng() * Math.PI * 2, // start offset so neighbours don't move in sync
+        age: 0, // sim steps since spawn (fewer under Slow); drives all variant motion
+        prevAge: 0,
+      };
+      obstacles.list.push(o);
+      maybeSpawnPickup(o, VIEW_WIDTH + obstacles.width * 1.5, gapY + gap / 2);
+    }
+  }
+
+  // Later phases mix in more, and nastier, variants
+  function pickObstacleKind() {
+    const pool = ObstacleVariants.filter((v) => currentPhase >= v.phase);
+    const chance = Math.min(0.7, 0.15 + currentPhase * 0.15);
+    if (!pool.length || hazardRng() >= chance) return ObstacleKind.Static;
+    const total = pool.reduce((sum, v) => sum + v.weight, 0);
+    let roll = hazardRng() * total;
+    for (const v of pool) {
+      roll -= v.weight;
+      if (roll < 0) return v.kind;
+    }
+    return pool[pool.length - 1].kind;
+  }
+
+  function randRange(min, max) {
+    return Math.floor(rng() * (max - min + 1)) + min;
+  }
+
+  /** Power-ups */
+  function maybeSpawnPickup(o, x, y) {
+    if (itemRng() >= powerUpChance) return;
+    const types = Object.keys(powerUpWeights);
+    const total = types.reduce((sum, t) => sum + powerUpWeights[t], 0);
+    let roll = itemRng() * total;
+    let type = types[types.length - 1];
+    for (const t of types) {
+      roll -= powerUpWeights[t];
+      if (roll < 0) {
+        type = t;
+        break;
+      }
+    }
+    // Rides along with the gap (o) until a magnet pulls it free
+    pickups.push({ type, x, y, prevX: x, prevY: y, o, offsetY: y - (o.gapY + o.gapHeight / 2) });
+  }
+
+  function updatePickups(speed, dtMs) {
+    for (let i = pickups.length - 1; i >= 0; i--) {
+      const p = pickups[i];
+      p.x -= speed;
+      if (p.o) p.y = p.o.gapY + p.o.gapHeight / 2 + p.offsetY;
+      // x2 token also works as a magnet for other pickups
+      if (active.double > 0) {
+        const dx = player.x - p.x;
+        const dy = player.y - p.y;
+        const dist = Math.hypot(dx, dy);
+        if (dist < PowerUpInfo[PowerUp.Double].magnetRange && dist > 0) {
+          p.o = null;
+          p.x += (dx / dist) * 4;
+          p.y += (dy / dist) * 4;
+        }
+      }
+      if (Math.hypot(player.x - p.x, player.y - p.y) < player.radius + PICKUP_RADIUS) {
+        pickups.splice(i, 1);
+        collectPowerUp(p.type);
+      } else if (p.x < -PICKUP_RADIUS) {
+        pickups.splice(i, 1);
+      }
+    }
+    for (const type of [PowerUp.Slow, PowerUp.Double, PowerUp.Ghost]) {
+      if (active[type] > 0) active[type] = Math.max(0, active[type] - dtMs);
+    }
+    if (invulnerableMs > 0) invulnerableMs = Math.max(0, invulnerableMs - dtMs);
+  }
+
+  function collectPowerUp(type) {
+    if (type === PowerUp.Shield) active.shield = true;
+    else active[type] = PowerUpInfo[type].durationMs;
+    emit("pickup", type);
+  }
+
+  function clearPowerUps() {
+    pickups.length = 0;
+    active.shield = false;
+    active.slow = 0;
+    active.double = 0;
+    active.ghost = 0;
+    invulnerableMs = 0;
+  }
+
+  // Returns true when a hit should not end the run
+  function absorbHit() {
+    if (invulnerableMs > 0) return true;
+    if (active.shield) {
+      active.shield = false;
+      invulnerableMs = SHIELD_GRACE_MS;
+      emit("shieldHit");
+      return true;
+    }
+    return false;
+  }
+
+  function worldSpeed() {
+    return active.slow > 0 ? obstacles.speed * PowerUpInfo[PowerUp.Slow].speedScale : obstacles.speed;
+  }
+
+  function updateObstacles(dt) {
+    const speed = worldSpeed();
+    scrollX += speed;
+    if (tether && !tether.o) tether.x -= speed; // ceiling anchors scroll too
+    for (let i = obstacles.list.length - 1; i >= 0; i--) {
+      const o = obstacles.list[i];
+      o.x -= speed;
+      o.age += speed / obstacles.speed; // slow-mo slows the machinery too
+      const g = gapAt(o, o.age);
+      o.gapY = g.gapY;
+      o.gapHeight = g.gapHeight;
+      if (o.x + o.width < -10) {
+        obstacles.list.splice(i, 1);
+        if (tether && tether.o === o) tether = null; // web snaps off-screen
+      }
+    }
+    if (tether && anchorX(tether) < -10) tether = null;
+    updatePickups(speed, dt);
+    spawnIfNeeded();
+  }
+
+  /** Reset */
+  function resetGame() {
+    player.x = PLAYER_HOME_X;
+    player.y = PLAYER_START_Y;
+    player.vx = 0;
+    player.vy = 0;
+    player.prevX = player.x;
+    player.prevY = player.y;
+    player.alive = true;
+    player.spin = 0;
+    dyingMs = 0;
+    player.webCooldownMs = 0;
+    player.webEnergy = web.maxEnergy;
+    score = 0;
+    clearObstacles();
+    webLine = null;
+    webFizzle = null;
+    tether = null;
+    holding = false;
+    clearPowerUps();
+    runMode = selectedMode;
+    scrollX = 0;
+    prevScrollX = 0;
+    seedRun(fixedSeed !== null ? fixedSeed : randomSeed());
+    simStep = 0;
+    recording = [];
+    playback = null;
+  }
+
+  function seedRun(seed) {
+    runSeed = seed;
+    rng = seededRandom(runSeed);
+    webRng = seededRandom(runSeed ^ 0x5bd1e995);
+    itemRng = seededRandom(runSeed ^ 0x27d4eb2f);
+    hazardRng = seededRandom(runSeed ^ 0x165667b1);
+  }
+
+  function applyDifficulty(presetName) {
+    const p = DifficultyPresets[presetName] || DifficultyPresets[Difficulty.Medium];
+    obstacles.speed = p.speed;
+    obstacles.spacing = p.spacing;
+    obstacles.minGap = p.minGap;
+    obstacles.maxGap = p.maxGap;
+    collisionPadding = p.collisionPadding;
+    web.cost = p.webCost;
+    web.regenPerSec = p.webRegenPerSec;
+    web.cooldownMs = p.webCooldownMs;
+    powerUpChance = p.powerUpChance;
+    powerUpWeights = p.powerUpWeights;
+  }
+
+  function startGameWithDifficulty(presetName, doImpulse = true) {
+    selectedDifficulty = presetName;
+    applyDifficulty(selectedDifficulty);
+    resetGame();
+    currentPhase = 0;
+    theme = generateTheme(currentPhase);
+    gameState = State.Playing;
+    emit("runStart");
+    if (doImpulse) handleAction();
+  }
+
+  // Play again after a game over. Back to phase 0: later phases bring new
+  // building kinds, so a run must not depend on how far the last one got
+  function restart() {
+    applyDifficulty(selectedDifficulty);
+    resetGame();
+    currentPhase = 0;
+    theme = generateTheme(currentPhase);
+    gameState = State.Playing;
+    emit("runStart");
+  }
+
+  /** Replay */
+  function startReplay(replay) {
+    applyDifficulty(replay.difficulty);
+    resetGame();
+    seedRun(replay.seed);
+    runMode = replay.mode;
+    currentPhase = 0;
+    theme = generateTheme(currentPhase);
+    playback = { replay, index: 0 };
+    gameState = State.Playing;
+    emit("runStart");
+    feedReplayActions();
+  }
+
+  // Apply every logged action due before the next sim step
+  function feedReplayActions() {
+    const events = playback.replay.events;
+    while (playback.index < events.length && events[playback.index][0] <= simStep) {
+      const action = events[playback.index][1];
+      if (action === "release") handleRelease("replay");
+      else if (action === "hold") startHold();
+      else handleAction("replay");
+      playback.index++;
+    }
+  }
+
+  /** Screens */
+  function openScores(returnTo) {
+    scoresView = { returnTo, difficulty: selectedDifficulty, seed: fixedSeed, mode: selectedMode };
+    gameState = State.Scores;
+  }
+
+  function closeScores() {
+    gameState = scoresView.returnTo;
+  }
+
+  function openMenu() {
+    gameState = State.Menu;
+  }
+
+  // Settings are only reachable from the menu, so closing always goes back there
+  function openSettings() {
+    if (gameState === State.Menu) gameState = State.Settings;
+  }
+
+  function toggleMode() {
+    selectedMode = selectedMode === GameMode.Classic ? GameMode.Swing : GameMode.Classic;
+  }
+
+  /** Step */
+  // Remember where things were before a step so the renderer can interpolate
+  function snapshotPositions() {
+    player.prevX = player.x;
+    player.prevY = player.y;
+    for (const p of pickups) {
+      p.prevX = p.x;
+      p.prevY = p.y;
+    }
+    if (tether) {
+      tether.prevX = anchorX(tether);
+      tether.prevY = anchorY(tether);
+    }
+    prevScrollX = scrollX;
+    for (const o of obstacles.list) {
+      o.prevX = o.x;
+      o.prevAge = o.age;
+    }
+  }
+
+  function update(dtMs) {
+    if (gameState === State.Playing) {
+      if (playback) feedReplayActions();
+      simStep++;
+
+      // Physics
+      if (tether) {
+        stepSwing();
+      } else if (holding) {
+        player.vy = Math.max(player.vy - HOLD_RISE_ACCEL, -HOLD_RISE_SPEED);
+        player.y += player.vy;
+        // a short web strand above the spider while it climbs
+        webLine = {
+          x1: player.x,
+          y1: player.y,
+          x2: player.x + 20,
+          y2: Math.max(40, player.y - 120),
+          life: 180,
+        };
+      } else {
+        player.vy = clamp(
+          player.vy + physics.gravity,
+          -Infinity,
+          physics.terminalVel
+        );
+        player.y += player.vy;
+        if (runMode === GameMode.Swing) driftHome();
+      }
+      if (player.webCooldownMs > 0) player.webCooldownMs -= dtMs;
+      if (holding) {
+        // No regen while climbing; an empty meter snaps the strand
+        player.webEnergy = Math.max(0, player.webEnergy - (web.cost * HOLD_RISE_DRAIN * dtMs) / 1000);
+        if (player.webEnergy === 0) holding = false;
+      } else {
+        player.webEnergy = Math.min(web.maxEnergy, player.webEnergy + (web.regenPerSec * dtMs) / 1000);
+      }
+      if (webLine) {
+        webLine.life -= dtMs;
+        if (webLine.life <= 0) webLine = null;
+      }
+      if (webFizzle) {
+        webFizzle.life -= dtMs;
+        if (webFizzle.life <= 0) webFizzle = null;
+      }
+
+      // Collisions with bounds
+      const ceiling = 0 + 0;
+      const floorY = VIEW_HEIGHT - physics.floorHeight;
+      if (player.y - player.radius < ceiling || player.y + player.radius > floorY) {
+        doGameOver();
+        if (gameState !== State.Playing) return;
+        // Shield took the hit: push back inside and bounce
+        const hitFloor = player.y + player.radius > floorY;
+        player.y = hitFloor ? floorY - player.radius : ceiling + player.radius;
+        player.vy = hitFloor ? physics.thrust : 2;
+        tether = null;
+      }
+
+      // Obstacles
+      updateObstacles(dtMs);
+
+      // Scoring + collision per obstacle
+      for (const o of obstacles.list) {
+        if (!o.passed && o.x + o.width < player.x - player.radius) {
+          o.passed = true;
+          const points = active.double > 0 ? 2 : 1;
+          for (let i = 0; i < points; i++) addPoint();
+        }
+
+        if (active.ghost > 0) continue; // ghosts pass through buildings
+
+        // Top building rect (with difficulty padding)
+        const topRectRaw = { x: o.x, y: 0, w: o.width, h: o.gapY };
+        // Bottom building rect (with difficulty padding)
+        const bottomRectRaw = {
+          x: o.x,
+          y: o.gapY + o.gapHeight,
+          w: o.width,
+          h: VIEW_HEIGHT - physics.floorHeight - (o.gapY + o.gapHeight),
+        };
+        const topRect = shrinkRect(
+          topRectRaw.x,
+          topRectRaw.y,
+          topRectRaw.w,
+          topRectRaw.h,
+          collisionPadding
+        );
+        const bottomRect = shrinkRect(
+          bottomRectRaw.x,
+          bottomRectRaw.y,
+          bottomRectRaw.w,
+          bottomRectRaw.h,
+          collisionPadding
+        );
+        const hazard = hazardAt(o, o.age);
+        if (
+          circleRectCollision(
+            player.x,
+            player.y,
+            player.radius,
+            topRect.x,
+            topRect.y,
+            topRect.w,
+            topRect.h
+          ) ||
+          circleRectCollision(
+            player.x,
+            player.y,
+            player.radius,
+            bottomRect.x,
+            bottomRect.y,
+            bottomRect.w,
+            bottomRect.h
+          ) ||
+          (hazard &&
+            circleCircleCollision(
+              player.x,
+              player.y,
+              player.radius,
+              hazard.x,
+              hazard.y,
+              Math.max(4, hazard.r - collisionPadding)
+            ))
+        ) {
+          doGameOver();
+          if (gameState !== State.Playing) return;
+        }
+      }
+    } else if (gameState === State.Dying) {
+      updateDying(dtMs);
+    }
+  }
+
+  // One point at a time so the ramp/phase checks never skip a multiple
+  function addPoint() {
+    score += 1;
+    emit("score", score);
+    // ramp base difficulty a bit
+    if (score % 5 === 0) {
+      obstacles.speed += 0.12;
+      obstacles.spacing = Math.max(180, obstacles.spacing - 2);
+      obstacles.minGap = Math.max(120, obstacles.minGap - 1);
+    }
+    // phase change each 30 points (30, 60, 90, ...)
+    if (score > 0 && score % PHASE_POINTS === 0) {
+      currentPhase += 1;
+      theme = generateTheme(currentPhase);
+      emit("phaseChange", currentPhase); // music changes flavor each phase
+    }
+  }
+
+  // Pendulum step: integrate, then pull back onto the rope if it went taut.
+  // Velocity is taken from the corrected position (position-based dynamics).
+  function stepSwing() {
+    const ax = anchorX(tether);
+    const ay = anchorY(tether);
+    let nx = player.x + player.vx;
+    let ny = player.y + player.vy + physics.gravity;
+    const dx = nx - ax;
+    const dy = ny - ay;
+    const dist = Math.hypot(dx, dy);
+    if (dist > tether.length) {
+      nx = ax + (dx / dist) * tether.length;
+      ny = ay + (dy / dist) * tether.length;
+    }
+    player.vx = nx - player.x;
+    player.vy = clamp(ny - player.y, -physics.terminalVel * 1.5, physics.terminalVel * 1.5);
+    player.x = clamp(nx, player.radius, VIEW_WIDTH - player.radius);
+    player.y = ny;
+  }
+
+  // After a swing the spider eases back to its usual column
+  function driftHome() {
+    player.vx += (PLAYER_HOME_X - player.x) * 0.004;
+    player.vx *= 0.95;
+    player.x = clamp(player.x + player.vx, player.radius, VIEW_WIDTH - player.radius);
+  }
+
+  // The hit: the run is over and recorded, but the Game Over screen waits
+  // for the crash animation (updateDying)
+  function doGameOver() {
+    if (gameState !== State.Playing) return;
+    if (absorbHit()) return;
+    gameState = State.Dying;
+    dyingMs = 0;
+    player.alive = false;
+    player.vx = 0;
+    player.vy = -4; // knocked up a little before the fall
+    tether = null;
+    holding = false;
+    webLine = null;
+    if (!playback) {
+      lastRun = {
+        version: REPLAY_VERSION,
+        seed: runSeed,
+        difficulty: selectedDifficulty,
+        mode: runMode,
+        score,
+        steps: simStep,
+        events: recording,
+      };
+    }
+    emit("crash");
+  }
+
+  // Sim time keeps running but the run's step count doesn't, so replays still
+  // match their recorded length
+  function updateDying(dtMs) {
+    dyingMs += dtMs;
+    const k = dyingMs < DYING_SLOWMO_MS ? DYING_SLOWMO_SCALE : 1;
+    const floorY = VIEW_HEIGHT - physics.floorHeight - player.radius;
+    if (player.y < floorY) {
+      player.vy = Math.min(physics.terminalVel, player.vy + physics.gravity * k);
+      player.y = clamp(player.y + player.vy * k, player.radius, floorY);
+      player.spin += 0.15 * k;
+    }
+    if (dyingMs >= DYING_MS) showGameOver();
+  }
+
+  function showGameOver() {
+    gameState = State.GameOver;
+    // Replays are re-runs of an old score, so the shell skips recording them;
+    // they report the recorded run's difficulty and seed, not the menu's
+    emit("gameOver", {
+      score,
+      difficulty: playback ? playback.replay.difficulty : selectedDifficulty,
+      seed: playback ? playback.replay.seed : fixedSeed,
+      mode: runMode,
+      phase: currentPhase,
+      durationMs: Math.round(simStep * SIM_STEP_MS),
+      replay: !!playback,
+    });
+  }
+
+  return {
+    player,
+    web,
+    obstacles,
+    pickups,
+    active,
+    get state() {
+      return gameState;
+    },
+    get score() {
+      return score;
+    },
+    get currentPhase() {
+      return currentPhase;
+    },
+    get theme() {
+      return theme;
+    },
+    get scrollX() {
+      return scrollX;
+    },
+    get prevScrollX() {
+      return prevScrollX;
+    },
+    // Pixels per step the buildings move now (slower under Slow)
+    get worldSpeed() {
+      return worldSpeed();
+    },
+    get webLine() {
+      return webLine;
+    },
+    get webFizzle() {
+      return webFizzle;
+    },
+    get tether() {
+      return tether;
+    },
+    get invulnerableMs() {
+      return invulnerableMs;
+    },
+    get dyingMs() {
+      return dyingMs;
+    },
+    get resumeCountdownMs() {
+      return resumeCountdownMs;
+    },
+    get runSeed() {
+      return runSeed;
+    },
+    get runMode() {
+      return runMode;
+    },
+    get simStep() {
+      return simStep;
+    },
+    get playback() {
+      return playback;
+    },
+    get scoresView() {
+      return scoresView;
+    },
+    get lastRun() {
+      return lastRun;
+    },
+    set lastRun(run) {
+      lastRun = run;
+    },
+    get selectedDifficulty() {
+      return selectedDifficulty;
+    },
+    set selectedDifficulty(name) {
+      selectedDifficulty = name;
+    },
+    get selectedMode() {
+      return selectedMode;
+    },
+    set selectedMode(mode) {
+      selectedMode = mode;
+    },
+    get fixedSeed() {
+      return fixedSeed;
+    },
+    set fixedSeed(seed) {
+      fixedSeed = seed;
+    },
+    get holdToRise() {
+      return holdToRise;
+    },
+    set holdToRise(on) {
+      holdToRise = on;
+    },
+    get holding() {
+      return holding;
+    },
+    on,
+    handleAction,
+    handleRelease,
+    pauseGame,
+    resumeGame,
+    togglePause,
+    updateResumeCountdown,
+    applyDifficulty,
+    resetGame,
+    startGameWithDifficulty,
+    restart,
+    startReplay,
+    openScores,
+    closeScores,
+    openMenu,
+    openSettings,
+    toggleMode,
+    snapshotPositions,
+    update,
+  };
+}
@@ -0,0 +1,128 @@
+/*
+  Flip Spider - phase themes: colors, skyline silhouettes and music tempo.
+*/
+
+import { VIEW_WIDTH } from "./config.js";
+import { seededRandom } from "./util.js";
+
+export const SKYLINE_TILE_WIDTH = VIEW_WIDTH;
+let defaultSkylines = null; // lazily generated silhouettes for defaultTheme()
+
+export function defaultTheme() {
+  return {
+    bgTop: "#0b1225",
+    bgMid: "#162a63",
+    bgBot: "#2b2c6b",
+    skylineFar: "#0a1736",
+    skylineNear: "#0e1d45",
+    groundTop: "#0f1a3a",
+    groundBot: "#0a1228",
+    buildingPalette: ["#182a5b", "#1c326d", "#203a7f"],
+    windowTint: "rgba(255, 255, 255, 0.06)",
+    starColor: "#ffffff",
+    hudPrimary: "#ffffff",
+    hudSecondary: "#c7d2fe",
+    pickupColors: {
+      shield: "#7dd3fc",
+      slow: "#c4b5fd",
+      double: "#fde047",
+      ghost: "#e2e8f0",
+    },
+    skylines: defaultSkylines || (defaultSkylines = generateSkylines(seededRandom(1))),
+    tempo: 170,
+  };
+}
+
+// Accessibility override laid over every phase theme: a flat black sky, pale
+// buildings and a bright street, whatever hues the phase rolled. White HUD text,
+// web strands and pickup rings get a black outline (hudOutline) for the buildings.
+export const highContrastColors = {
+  bgTop: "#000000",
+  bgMid: "#000000",
+  bgBot: "#000000",
+  skylineFar: "#0d0d0d",
+  skylineNear: "#141414",
+  groundTop: "#facc15",
+  groundBot: "#ca8a04",
+  buildingPalette: ["#f5f5f5", "#e5e5e5", "#d4d4d4"],
+  windowTint: "rgba(0, 0, 0, 0.18)",
+  starColor: "#000000",
+  hudPrimary: "#ffffff",
+  hudSecondary: "#fde047",
+  hudOutline: "#000000",
+};
+
+// Building silhouettes for one tile per layer. Heights are fractions of the
+// layer height; the last building is clipped to the tile edge so tiles join.
+export function generateSkylines(rand) {
+  const makeTile = (minW, maxW, minH) => {
+    const tile = [];
+    let x = 0;
+    while (x < SKYLINE_TILE_WIDTH) {
+      const w = Math.min(minW + Math.floor(rand() * (maxW - minW)), SKYLINE_TILE_WIDTH - x);
+      const roof = rand();
+      tile.push({
+        x,
+        w,
+        h: minH + rand() * (1 - minH),
+        step: roof < 0.25 ? 6 + Math.floor(rand() * 10) : 0,
+        antenna: roof > 0.85 ? 8 + Math.floor(rand() * 14) : 0,
+      });
+      x += w + Math.floor(rand() * 12);
+    }
+    return tile;
+  };
+  return { far: makeTile(30, 70, 0.35), near: makeTile(40, 90, 0.3) };
+}
+
+export function generateTheme(seedIndex) {
+  // Random but deterministic-ish per phase using seedIndex
+  const rand = seededRandom(seedIndex * 9301 + 49297);
+  const hueBase = Math.floor(rand() * 360);
+  const hue2 = (hueBase + 30 + Math.floor(rand() * 60)) % 360;
+  const hue3 = (hueBase + 180 + Math.floor(rand() * 60)) % 360;
+  const bgTop = `hsl(${hueBase}, 60%, 16%)`;
+  const bgMid = `hsl(${hue2}, 60%, 22%)`;
+  const bgBot = `hsl(${hue3}, 55%, 24%)`;
+  const skylineFar = `hsl(${(hueBase + 200) % 360}, 45%, 18%)`;
+  const skylineNear = `hsl(${(hueBase + 210) % 360}, 50%, 22%)`;
+  const groundTop = `hsl(${(hueBase + 230) % 360}, 35%, 16%)`;
+  const groundBot = `hsl(${(hueBase + 250) % 360}, 35%, 12%)`;
+  const buildingPalette = [
+    `hsl(${(hueBase + 10) % 360}, 50%, 34%)`,
+    `hsl(${(hueBase + 25) % 360}, 50%, 30%)`,
+    `hsl(${(hueBase + 40) % 360}, 50%, 26%)`,
+  ];
+  const windowTint = `hsla(${(hueBase + 60) % 360}, 70%, 85%, 0.10)`;
+  const starColor = `hsl(${(hueBase + 90) % 360}, 80%, 95%)`;
+  const hudPrimary = `hsl(${(hueBase + 320) % 360}, 90%, 98%)`;
+  const hudSecondary = `hsl(${(hueBase + 320) % 360}, 60%, 80%)`;
+  // Bright, spread-out hues so pickups pop against the darker buildings
+  const pickupColors = {
+    shield: `hsl(${(hueBase + 180) % 360}, 90%, 70%)`,
+    slow: `hsl(${(hueBase + 270) % 360}, 85%, 75%)`,
+    double: `hsl(${(hueBase + 60) % 360}, 95%, 65%)`,
+    ghost: `hsl(${(hueBase + 120) % 360}, 30%, 90%)`,
+  };
+  // Also influence music tempo slightly per phase
+  const tempo = 150 + Math.floor(rand() * 60); // 150–210
+  // Skyline silhouettes get their own stream so colors/tempo stay as before
+  const skylines = generateSkylines(seededRandom(seedIndex * 7919 + 104729));
+  return {
+    bgTop,
+    bgMid,
+    bgBot,
+    skylineFar,
+    skylineNear,
+    groundTop,
+    groundBot,
+    buildingPalette,
+    windowTint,
+    starColor,
+    hudPrimary,
+    hudSecondary,
+    pickupColors,
+    skylines,
+    tempo,
+  };
+}
@@ -0,0 +1,114 @@
+/*
+  Flip Spider - small math, random and collision helpers.
+*/
+
+export function seededRandom(seed) {
+  let s = seed >>> 0 || 0x9e3779b9; // xorshift state must be non-zero
+  return function () {
+    // xorshift32
+    s ^= s << 13;
+    s ^= s >>> 17;
+    s ^= s << 5;
+    // convert to [0,1)
+    return ((s >>> 0) / 4294967296);
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0;
+}
+
+// Numbers are used as-is (uint32); any other text is hashed (FNV-1a)
+export function parseSeed(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  if (!text) return null;
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+  return hashString(text);
+}
+
+// FNV-1a, as a uint32
+export function hashString(text) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+export function shrinkRect(rx, ry, rw, rh, pad) {
+  const p = Math.max(-20, Math.min(20, pad || 0));
+  return { x: rx + p, y: ry + p, w: Math.max(0, rw - p * 2), h: Math.max(0, rh - p * 2) };
+}
+
+// Modulo that stays positive for negative inputs
+export function mod(v, m) {
+  return ((v % m) + m) % m;
+}
+
+export function lerp(a, b, t) {
+  return a + (b - a) * t;
+}
+
+export function clamp(v, lo, hi) {
+  return Math.max(lo, Math.min(hi, v));
+}
+
+// Distance along a unit ray to the first hit on a rect, or null (slab test)
+export function rayRectDistance(ox, oy, dx, dy, rx, ry, rw, rh) {
+  let tMin = 0;
+  let tMax = Infinity;
+  const axes = [
+    [ox, dx, rx, rx + rw],
+    [oy, dy, ry, ry + rh],
+  ];
+  for (const [o, d, lo, hi] of axes) {
+    if (Math.abs(d) < 1e-9) {
+      if (o < lo || o > hi) return null;
+      continue;
+    }
+    let t1 = (lo - o) / d;
+    let t2 = (hi - o) / d;
+    if (t1 > t2) [t1, t2] = [t2, t1];
+    tMin = Math.max(tMin, t1);
+    tMax = Math.min(tMax, t2);
+    if (tMin > tMax) return null;
+  }
+  return tMin;
+}
+
+export function circleCircleCollision(x1, y1, r1, x2, y2, r2) {
+  const dx = x1 - x2;
+  const dy = y1 - y2;
+  return dx * dx + dy * dy < (r1 + r2) * (r1 + r2);
+}
+
+export function circleRectCollision(cx, cy, radius, rx, ry, rw, rh) {
+  const closestX = clamp(cx, rx, rx + rw);
+  const closestY = clamp(cy, ry, ry + rh);
+  const dx = cx - closestX;
+  const dy = cy - closestY;
+  return dx * dx + dy * dy < radius * radius;
+}
+
+// Arrow-key focus: index of the closest box from boxes[from] in direction
+// (dx, dy), or `from` when nothing lies that way. Off-axis distance counts
+// double so moving down picks the box below over a nearer one beside it.
+export function nearestInDirection(boxes, from, dx, dy) {
+  const center = (b) => ({ x: b.x + b.w / 2, y: b.y + b.h / 2 });
+  const origin = center(boxes[from]);
+  let best = from;
+  let bestScore = Infinity;
+  boxes.forEach((b, i) => {
+    const c = center(b);
+    const along = (c.x - origin.x) * dx + (c.y - origin.y) * dy;
+    if (i === from || along <= 0) return;
+    const across = Math.abs((c.x - origin.x) * dy) + Math.abs((c.y - origin.y) * dx);
+    if (along + across * 2 < bestScore) {
+      bestScore = along + across * 2;
+      best = i;
+    }
+  });
+  return best;
+}
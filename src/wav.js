@@ -0,0 +1,44 @@
+/*
+  Flip Spider - WAV files from rendered audio (16-bit PCM), for the sound downloads.
+*/
+
+import { clamp } from "./util.js";
+
+// buffer: an AudioBuffer, or anything with numberOfChannels, sampleRate,
+// length and getChannelData(i); returns the file's bytes
+export function encodeWav(buffer) {
+  const channels = buffer.numberOfChannels;
+  const frames = buffer.length;
+  const dataBytes = frames * channels * 2;
+  const out = new ArrayBuffer(44 + dataBytes);
+  const view = new DataView(out);
+  const text = (offset, s) => {
+    for (let i = 0; i < s.length; i++) view.setUint8(offset + i, s.charCodeAt(i));
+  };
+  text(0, "RIFF");
+  view.setUint32(4, 36 + dataBytes, true);
+  text(8, "WAVE");
+  text(12, "fmt ");
+  view.setUint32(16, 16, true); // fmt chunk size
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, channels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * channels * 2, true); // bytes per second
+  view.setUint16(32, channels * 2, true); // bytes per frame
+  view.setUint16(34, 16, true); // bits per sample
+  text(36, "data");
+  view.setUint32(40, dataBytes, true);
+
+  // Samples interleave channel by channel, clipped to [-1, 1]
+  const data = [];
+  for (let c = 0; c < channels; c++) data.push(buffer.getChannelData(c));
+  let offset = 44;
+  for (let i = 0; i < frames; i++) {
+    for (let c = 0; c < channels; c++) {
+      const v = clamp(data[c][i], -1, 1);
+      view.setInt16(offset, v < 0 ? v * 0x8000 : v * 0x7fff, true);
+      offset += 2;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,102 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { createAudio } from "../src/audio.js";
+import { generateSong, STEPS_PER_BAR } from "../src/music.js";
+
+// AudioContext stand-in: a clock the test moves by hand; every node, param
+// and method call is a no-op
+function stubContext() {
+  const anything = new Proxy(function () {}, {
+    get: (t, k) => (k === "then" ? undefined : anything),
+    apply: () => anything,
+    set: () => true,
+  });
+  const clock = {
+    currentTime: 0,
+    state: "running",
+    sampleRate: 100, // keeps the drum noise buffer tiny
+    suspend() {
+      this.state = "suspended";
+    },
+    resume() {
+      this.state = "running";
+    },
+  };
+  return new Proxy(clock, { get: (t, k) => (k in t ? t[k] : anything) });
+}
+
+// Audio playing `song` at `tempo` on a stub clock; the scheduler runs on mocked timers
+function playing(t, song, tempo) {
+  t.mock.timers.enable({ apis: ["setInterval"] });
+  const audio = createAudio();
+  audio.ctx = stubContext();
+  audio.buildGraph();
+  audio.setSong(song, tempo);
+  audio.startMusic();
+  t.after(() => audio.stopMusic());
+  return audio;
+}
+
+// Let the audio clock run for `ms`, waking the scheduler as the page would
+function advance(t, audio, ms) {
+  for (let i = 0; i < ms / 25; i++) {
+    audio.ctx.currentTime += 0.025;
+    t.mock.timers.tick(25);
+  }
+}
+
+test("a new song and tempo wait for the bar line", (t) => {
+  const first = generateSong(0);
+  const next = generateSong(1);
+  const audio = playing(t, first, 120);
+  advance(t, audio, 500);
+  assert.ok(audio.currentStep > 0 && audio.currentStep < STEPS_PER_BAR);
+
+  audio.setSong(next, 150);
+  audio.setTempo(240); // a slowdown or speed-up lands on the waiting song too
+  while (audio.song === first) advance(t, audio, 25);
+  const [last, firstOfNext] = audio.scheduled.slice(-2);
+  assert.equal(last.step, STEPS_PER_BAR - 1);
+  assert.equal(firstOfNext.step, 0);
+  assert.equal(firstOfNext.duration, 60 / 240 / 2);
+});
+
+test("catching up after a long gap skips steps but not a bar line's song change", (t) => {
+  const first = generateSong(0);
+  const next = generateSong(1);
+  const audio = playing(t, first, 120);
+  advance(t, audio, 100);
+  const before = audio.currentStep;
+  const queued = audio.scheduled.length;
+
+  audio.ctx.currentTime += 1; // tab in the background: four steps missed
+  t.mock.timers.tick(25);
+  assert.ok(audio.currentStep >= before + 4);
+  assert.equal(audio.scheduled.length, queued + 1); // skipped, not fired in a burst
+  assert.ok(audio.scheduled.at(-1).time >= audio.ctx.currentTime);
+
+  audio.setSong(next, 120);
+  audio.ctx.currentTime += 5; // well past the next bar line
+  t.mock.timers.tick(25);
+  assert.equal(audio.song, next);
+  assert.ok(audio.currentStep < STEPS_PER_BAR);
+});
+
+test("the beat stops while the music is paused and picks up where it was", (t) => {
+  const audio = playing(t, generateSong(0), 120);
+  advance(t, audio, 700);
+  const beat = audio.beatInfo();
+  assert.ok(beat);
+
+  audio.pauseMusic();
+  assert.equal(audio.ctx.state, "suspended");
+  assert.equal(audio.beatInfo(), null);
+  t.mock.timers.tick(1000); // the suspended clock stands still
+  assert.equal(audio.beatInfo(), null);
+
+  audio.resumeMusic();
+  assert.equal(audio.beatInfo().step, beat.step);
+  advance(t, audio, 250);
+  assert.equal(audio.beatInfo().step, beat.step + 1);
+});
@@ -0,0 +1,50 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { GameMode } from "../src/config.js";
+import {
+  encodeChallenge,
+  parseChallenge,
+  challengeUrl,
+  challengeResult,
+  challengeTitle,
+} from "../src/challenge.js";
+
+const challenge = { seed: 12345, difficulty: "Hard", mode: GameMode.Classic, score: 27 };
+
+test("challenges survive a round trip", () => {
+  const text = encodeChallenge(challenge);
+  assert.ok(text.startsWith("12345-Hard-Classic-27-"));
+  assert.deepEqual(parseChallenge(text), challenge);
+  const swing = { ...challenge, mode: GameMode.Swing, seed: 0xffffffff };
+  assert.deepEqual(parseChallenge(encodeChallenge(swing)), swing);
+});
+
+test("edited or malformed challenges are rejected", () => {
+  const text = encodeChallenge(challenge);
+  assert.equal(parseChallenge(text.replace("-27-", "-99-")), null);
+  assert.equal(parseChallenge(text.replace("Hard", "Easy")), null);
+  assert.equal(parseChallenge(text.slice(0, -1)), null);
+  assert.equal(parseChallenge("12345-Brutal-Classic-27-abc"), null);
+  assert.equal(parseChallenge("12345-Hard-27"), null);
+  assert.equal(parseChallenge(null), null);
+});
+
+test("challenge links replace the seed parameter and keep the rest", () => {
+  const url = new URL(challengeUrl("https://example.com/game/?seed=9&lang=en#top", challenge));
+  assert.equal(url.searchParams.get("seed"), null);
+  assert.equal(url.searchParams.get("lang"), "en");
+  assert.deepEqual(parseChallenge(url.searchParams.get("challenge")), challenge);
+  assert.equal(url.hash, "#top");
+});
+
+test("only a higher score beats the challenge", () => {
+  assert.equal(challengeResult(challenge, 28), "won");
+  assert.equal(challengeResult(challenge, 27), "tied");
+  assert.equal(challengeResult(challenge, 3), "lost");
+});
+
+test("the title names the target, difficulty and non-Classic mode", () => {
+  assert.equal(challengeTitle(challenge), "Beat 27 on Hard");
+  assert.equal(challengeTitle({ ...challenge, mode: GameMode.Swing }), "Beat 27 on Hard (Swing)");
+});
@@ -0,0 +1,85 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { Difficulty, GameMode } from "../src/config.js";
+import { createLeaderboard, boardKey, insertScore } from "../src/leaderboard.js";
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = String(v);
+    },
+    removeItem: (k) => {
+      delete data[k];
+    },
+  };
+}
+
+test("board keys separate difficulty, mode and seed", () => {
+  assert.equal(boardKey(Difficulty.Hard, null), "Hard");
+  assert.equal(boardKey(Difficulty.Hard, 42), "Hard#42");
+  assert.equal(boardKey(Difficulty.Easy, null, GameMode.Swing), "Swing:Easy");
+  assert.equal(boardKey(Difficulty.Easy, 7, GameMode.Swing), "Swing:Easy#7");
+});
+
+test("insertScore keeps the top 10, older runs first on ties", () => {
+  let list = [];
+  for (let i = 0; i < 12; i++) list = insertScore(list, { score: i, date: 100 + i });
+  assert.equal(list.length, 10);
+  assert.equal(list[0].score, 11);
+  assert.equal(list[9].score, 2);
+  list = insertScore(list, { score: 11, date: 50 });
+  assert.equal(list[0].date, 50);
+});
+
+test("record stores runs per board and returns the board best", () => {
+  const storage = memoryStorage();
+  const board = createLeaderboard(storage);
+  assert.equal(board.record(Difficulty.Medium, null, GameMode.Classic, { score: 5, date: 1 }), 5);
+  assert.equal(board.record(Difficulty.Medium, null, GameMode.Classic, { score: 3, date: 2 }), 5);
+  assert.equal(board.record(Difficulty.Hard, null, GameMode.Classic, { score: 1, date: 3 }), 1);
+  assert.equal(board.list(Difficulty.Medium, null, GameMode.Classic).length, 2);
+  // persisted, so a fresh leaderboard sees the same runs
+  assert.deepEqual(
+    createLeaderboard(storage).list(Difficulty.Medium, null, GameMode.Classic).map((e) => e.score),
+    [5, 3]
+  );
+});
+
+test("two games sharing storage keep each other's runs", () => {
+  const storage = memoryStorage();
+  const left = createLeaderboard(storage);
+  const right = createLeaderboard(storage);
+  left.record(Difficulty.Medium, 9, GameMode.Classic, { score: 4, date: 1 });
+  right.record(Difficulty.Medium, 9, GameMode.Classic, { score: 6, date: 2 });
+  assert.deepEqual(
+    createLeaderboard(storage).list(Difficulty.Medium, 9, GameMode.Classic).map((e) => e.score),
+    [6, 4]
+  );
+});
+
+test("a leaderboard lists runs another game saved after it was made", () => {
+  const storage = memoryStorage();
+  const viewer = createLeaderboard(storage);
+  assert.deepEqual(viewer.list(Difficulty.Hard, null), []);
+  createLeaderboard(storage).record(Difficulty.Hard, null, GameMode.Classic, { score: 8, date: 1 });
+  assert.deepEqual(viewer.list(Difficulty.Hard, null).map((e) => e.score), [8]);
+});
+
+test("the old single best score migrates into the Medium board", () => {
+  const storage = memoryStorage({ "flipspider.best": "17" });
+  const board = createLeaderboard(storage);
+  const list = board.list(Difficulty.Medium, null, GameMode.Classic);
+  assert.equal(list.length, 1);
+  assert.equal(list[0].score, 17);
+  assert.equal(list[0].date, null);
+  assert.equal(storage.getItem("flipspider.best"), null);
+});
+
+test("corrupt saved scores start an empty leaderboard", () => {
+  const board = createLeaderboard(memoryStorage({ "flipspider.scores": "{not json" }));
+  assert.deepEqual(board.list(Difficulty.Easy, null, GameMode.Classic), []);
+});
@@ -0,0 +1,43 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { generateSong, songStep, intensityFor, midiToFreq, STEPS_PER_BAR } from "../src/music.js";
+
+const near = (a, b) => Math.abs(a - b) < 0.01;
+
+test("phase 0 plays the original A–D–E–D riff", () => {
+  const song = generateSong(0);
+  const roots = [0, 2, 4, 6].map((step) => songStep(song, step, 3).chord[0]);
+  [110, 146.83, 164.81, 146.83].forEach((f, i) => assert.ok(near(roots[i], f), `${roots[i]} vs ${f}`));
+  const lead = [0, 1, 2, 3, 4, 5, 6, 7].map((step) => songStep(song, step, 3).lead);
+  [880, 880, 880, 987.77, 880, 783.99, 880, 987.77].forEach((f, i) => assert.ok(near(lead[i], f)));
+});
+
+test("each phase gets its own song, the same every time", () => {
+  assert.deepEqual(generateSong(3), generateSong(3));
+  assert.notDeepEqual(generateSong(3), generateSong(4));
+});
+
+test("generated leads stay in the song's scale", () => {
+  for (let phase = 1; phase < 20; phase++) {
+    const song = generateSong(phase);
+    for (const note of song.lead) {
+      if (note !== null) assert.ok(song.scale.includes(note % 12), `phase ${phase}: ${note}`);
+    }
+  }
+});
+
+test("layers join as the intensity rises", () => {
+  const song = generateSong(0);
+  const hats = (level) => [...Array(STEPS_PER_BAR).keys()].filter((s) => songStep(song, s, level).hat).length;
+  assert.equal(hats(0), 0);
+  assert.equal(hats(1), STEPS_PER_BAR);
+  assert.equal(songStep(song, 0, 1).lead, null);
+  assert.ok(near(songStep(song, 0, 2).lead, midiToFreq(81)));
+  const kicks = (level) => [...Array(STEPS_PER_BAR).keys()].filter((s) => songStep(song, s, level).kick).length;
+  assert.ok(kicks(3) > kicks(2));
+});
+
+test("intensity follows the points scored within the phase", () => {
+  assert.deepEqual([0, 4, 5, 11, 12, 19, 20, 29].map(intensityFor), [0, 0, 1, 1, 2, 2, 3, 3]);
+});
@@ -0,0 +1,33 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { SIM_STEP_MS } from "../src/config.js";
+import { createParticles } from "../src/particles.js";
+
+test("bursts stop at the pool cap", () => {
+  const particles = createParticles(10);
+  particles.burst(0, 0, { count: 6 });
+  particles.burst(0, 0, { count: 6 });
+  assert.equal(particles.count, 10);
+});
+
+test("particles move, fall and expire", () => {
+  const particles = createParticles(10);
+  particles.burst(100, 100, { count: 3, speed: 0, drift: -2, gravity: 1, life: 100 });
+  particles.update(SIM_STEP_MS);
+  particles.forEach((p) => {
+    assert.equal(p.x, 98);
+    assert.equal(p.y, 101);
+  });
+  particles.update(200); // longer than any life (at most 1.3x)
+  assert.equal(particles.count, 0);
+});
+
+test("expired slots are reused", () => {
+  const particles = createParticles(4);
+  particles.burst(0, 0, { count: 4, life: 10 });
+  particles.update(20);
+  particles.burst(5, 5, { count: 4 });
+  assert.equal(particles.count, 4);
+  particles.forEach((p) => assert.equal(p.x, 5));
+});
@@ -0,0 +1,64 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { DefaultKeys } from "../src/config.js";
+import { DefaultSettings, loadSettings, saveSettings, keyLabel, rebindKey } from "../src/settings.js";
+
+function memoryStorage(initial = {}) {
+  const data = { ...initial };
+  return {
+    data,
+    getItem: (k) => (k in data ? data[k] : null),
+    setItem: (k, v) => {
+      data[k] = String(v);
+    },
+  };
+}
+
+test("no saved settings gives the defaults", () => {
+  assert.deepEqual(loadSettings(memoryStorage()), DefaultSettings);
+});
+
+test("corrupt saved settings give the defaults", () => {
+  assert.deepEqual(loadSettings(memoryStorage({ "flipspider.settings": "{not json" })), DefaultSettings);
+});
+
+test("settings round-trip through storage", () => {
+  const storage = memoryStorage();
+  const settings = { ...loadSettings(storage), musicVolume: 0.25, muted: true, shake: false };
+  settings.keys.action = ["Enter"];
+  saveSettings(storage, settings);
+  assert.deepEqual(loadSettings(storage), settings);
+});
+
+test("out of range or mistyped values fall back or clamp", () => {
+  const saved = {
+    musicVolume: 3,
+    sfxVolume: "loud",
+    particles: "no",
+    keys: { action: [], pause: ["KeyQ"], mute: [7], bogus: ["KeyB"] },
+  };
+  const settings = loadSettings(memoryStorage({ "flipspider.settings": JSON.stringify(saved) }));
+  assert.equal(settings.musicVolume, 1);
+  assert.equal(settings.sfxVolume, DefaultSettings.sfxVolume);
+  assert.equal(settings.particles, true);
+  assert.deepEqual(settings.keys, { pause: ["KeyQ"] });
+});
+
+test("rebinding takes the key away from the command that had it", () => {
+  const settings = loadSettings(memoryStorage());
+  rebindKey(settings, DefaultKeys, "action", "KeyP");
+  assert.deepEqual(settings.keys, { action: ["KeyP"], pause: ["Escape"] });
+
+  // mute's only key: mute takes over the old throw key instead of losing its binding
+  const swapped = loadSettings(memoryStorage());
+  rebindKey(swapped, DefaultKeys, "action", "KeyM");
+  assert.deepEqual(swapped.keys, { action: ["KeyM"], mute: ["Space"] });
+});
+
+test("key labels are short", () => {
+  assert.equal(keyLabel("KeyP"), "P");
+  assert.equal(keyLabel("Digit1"), "1");
+  assert.equal(keyLabel("Escape"), "Esc");
+  assert.equal(keyLabel("Space"), "Space");
+});
@@ -0,0 +1,49 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { GameMode } from "../src/config.js";
+import { defaultTheme } from "../src/theme.js";
+import { drawShareCard, shareCardLines, ShareCardSizes } from "../src/sharecard.js";
+
+const card = {
+  theme: defaultTheme(),
+  score: 42,
+  best: 57,
+  difficulty: "Hard",
+  mode: GameMode.Classic,
+  phase: 1,
+  seed: 12345,
+  date: Date.UTC(2024, 0, 15),
+};
+
+// Canvas 2D stand-in that keeps the text it was asked to draw
+function recordingContext() {
+  const texts = [];
+  const noop = () => {};
+  const target = {
+    fillText: (text, x, y) => texts.push({ text, x, y }),
+    createLinearGradient: () => ({ addColorStop: noop }),
+  };
+  const ctx = new Proxy(target, { get: (t, k) => (k in t ? t[k] : noop), set: () => true });
+  return { ctx, texts };
+}
+
+test("card lines carry best, difficulty, phase and seed", () => {
+  const lines = shareCardLines(card);
+  assert.equal(lines[0], "Best 57");
+  assert.equal(lines[1], "Hard · Phase 2");
+  assert.ok(lines[2].startsWith("Seed 12345 · "));
+  assert.equal(shareCardLines({ ...card, mode: GameMode.Swing })[1], "Hard · Swing · Phase 2");
+});
+
+test("both card sizes draw the score and keep every line on the card", () => {
+  for (const { width, height } of Object.values(ShareCardSizes)) {
+    const { ctx, texts } = recordingContext();
+    drawShareCard(ctx, width, height, card);
+    assert.ok(texts.some((t) => t.text === "42"));
+    for (const t of texts) {
+      assert.ok(t.x > 0 && t.x < width, `${t.text} inside ${width}x${height}`);
+      assert.ok(t.y > 0 && t.y < height, `${t.text} inside ${width}x${height}`);
+    }
+  }
+});
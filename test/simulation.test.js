@@ -0,0 +1,500 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  State,
+  Difficulty,
+  DifficultyPresets,
+  GameMode,
+  ObstacleKind,
+  HOLD_RISE_SPEED,
+  DYING_MS,
+  SHIELD_GRACE_MS,
+  SIM_STEP_MS,
+  REPLAY_VERSION,
+} from "../src/config.js";
+import { createSimulation, gapAt } from "../src/simulation.js";
+import { parseReplay } from "../src/replay.js";
+
+function startedSim(difficulty = Difficulty.Medium) {
+  const sim = createSimulation();
+  sim.fixedSeed = 1;
+  sim.startGameWithDifficulty(difficulty, false);
+  return sim;
+}
+
+// A static building pair whose gap is wide open around the player
+function building(x, gapY = 100, gapHeight = 400) {
+  return {
+    x,
+    y: 0,
+    width: 70,
+    gapY,
+    gapHeight,
+    prevX: x,
+    passed: false,
+    colorIndex: 0,
+    kind: ObstacleKind.Static,
+    baseGapY: gapY,
+    baseGapHeight: gapHeight,
+    wave: 0,
+    age: 0,
+    prevAge: 0,
+  };
+}
+
+// Buildings already left of the player: each scores on the next step
+function pushPassed(sim, count) {
+  sim.obstacles.list.length = 0;
+  for (let i = 0; i < count; i++) sim.obstacles.list.push(building(-50));
+}
+
+function step(sim) {
+  sim.snapshotPositions();
+  sim.update(SIM_STEP_MS);
+}
+
+// Play out the crash animation
+function finishDying(sim) {
+  while (sim.state === State.Dying) step(sim);
+}
+
+test("scores once per building when it is passed", () => {
+  const sim = startedSim();
+  const scores = [];
+  sim.on("score", (score) => scores.push(score));
+  pushPassed(sim, 1);
+  step(sim);
+  assert.equal(sim.score, 1);
+  assert.deepEqual(scores, [1]);
+  assert.equal(sim.obstacles.list[0].passed, true);
+  step(sim);
+  assert.equal(sim.score, 1); // o.passed stops it scoring twice
+  assert.deepEqual(scores, [1]);
+});
+
+test("buildings ahead of the player do not score", () => {
+  const sim = startedSim();
+  sim.obstacles.list.length = 0;
+  sim.obstacles.list.push(building(300));
+  step(sim);
+  assert.equal(sim.score, 0);
+  assert.equal(sim.obstacles.list[0].passed, false);
+});
+
+test("x2 power-up doubles the points for a pass", () => {
+  const sim = startedSim();
+  sim.active.double = 1000;
+  pushPassed(sim, 1);
+  step(sim);
+  assert.equal(sim.score, 2);
+});
+
+test("every 5 points ramps speed, spacing and minimum gap", () => {
+  const sim = startedSim();
+  const preset = DifficultyPresets[Difficulty.Medium];
+  pushPassed(sim, 4);
+  step(sim);
+  assert.equal(sim.obstacles.speed, preset.speed);
+
+  pushPassed(sim, 1);
+  step(sim);
+  assert.equal(sim.score, 5);
+  assert.ok(Math.abs(sim.obstacles.speed - (preset.speed + 0.12)) < 1e-9);
+  assert.equal(sim.obstacles.spacing, preset.spacing - 2);
+  assert.equal(sim.obstacles.minGap, preset.minGap - 1);
+});
+
+test("the ramp never goes below its floors", () => {
+  const sim = startedSim(Difficulty.Hard);
+  pushPassed(sim, 50);
+  step(sim);
+  assert.equal(sim.obstacles.spacing, 180);
+  assert.equal(sim.obstacles.minGap, 120);
+});
+
+test("every 30 points starts a new phase with a new theme", () => {
+  const sim = startedSim();
+  const phases = [];
+  sim.on("phaseChange", (phase) => phases.push(phase));
+  const firstTheme = sim.theme;
+
+  pushPassed(sim, 29);
+  step(sim);
+  assert.equal(sim.currentPhase, 0);
+  assert.deepEqual(phases, []);
+
+  pushPassed(sim, 1);
+  step(sim);
+  assert.equal(sim.score, 30);
+  assert.equal(sim.currentPhase, 1);
+  assert.deepEqual(phases, [1]);
+  assert.notDeepEqual(sim.theme, firstTheme);
+});
+
+test("double points cannot skip over a phase boundary", () => {
+  const sim = startedSim();
+  const phases = [];
+  sim.on("phaseChange", (phase) => phases.push(phase));
+  pushPassed(sim, 29);
+  step(sim);
+  sim.active.double = 1000;
+  pushPassed(sim, 1);
+  step(sim);
+  assert.equal(sim.score, 31);
+  assert.deepEqual(phases, [1]);
+});
+
+test("hitting a building ends the run and records it", () => {
+  const sim = startedSim();
+  const runs = [];
+  sim.on("gameOver", (run) => runs.push(run));
+  sim.obstacles.list.length = 0;
+  // the player sits inside the top building
+  sim.obstacles.list.push(building(sim.player.x - 20, sim.player.y + 100, 200));
+  step(sim);
+  assert.equal(sim.state, State.Dying);
+  assert.equal(sim.lastRun.seed, 1); // recorded on impact
+  assert.equal(runs.length, 0); // announced once the crash has played out
+  finishDying(sim);
+  assert.equal(sim.state, State.GameOver);
+  assert.equal(runs.length, 1);
+  assert.equal(runs[0].score, 0);
+  assert.equal(runs[0].difficulty, Difficulty.Medium);
+  assert.equal(runs[0].replay, false);
+});
+
+test("a crash tumbles to the street, ignoring taps until Game Over", () => {
+  const sim = startedSim();
+  let crashes = 0;
+  sim.on("crash", () => crashes++);
+  sim.obstacles.list.length = 0;
+  sim.player.y = 10; // hit the ceiling
+  step(sim);
+  assert.equal(crashes, 1);
+  const stepsAtCrash = sim.simStep;
+  let elapsed = 0;
+  while (elapsed < DYING_MS - SIM_STEP_MS) {
+    sim.handleAction();
+    step(sim);
+    elapsed += SIM_STEP_MS;
+  }
+  assert.equal(sim.state, State.Dying);
+  assert.ok(sim.player.y > 600); // fell most of the way down
+  assert.ok(sim.player.spin > 0);
+  assert.equal(sim.simStep, stepsAtCrash); // not part of the run
+  step(sim);
+  assert.equal(sim.state, State.GameOver);
+});
+
+test("falling to the street ends the run", () => {
+  const sim = startedSim();
+  sim.obstacles.list.length = 0;
+  sim.player.y = 790;
+  step(sim);
+  assert.equal(sim.state, State.Dying);
+  finishDying(sim);
+  assert.equal(sim.state, State.GameOver);
+});
+
+test("a shield absorbs one hit and grants a short grace period", () => {
+  const sim = startedSim();
+  sim.active.shield = true;
+  sim.obstacles.list.length = 0;
+  sim.obstacles.list.push(building(sim.player.x - 20, sim.player.y + 100, 200));
+  step(sim);
+  assert.equal(sim.state, State.Playing);
+  assert.equal(sim.active.shield, false);
+  assert.equal(sim.invulnerableMs, SHIELD_GRACE_MS);
+});
+
+test("ghosts pass through buildings", () => {
+  const sim = startedSim();
+  sim.active.ghost = 1000;
+  sim.obstacles.list.length = 0;
+  sim.obstacles.list.push(building(sim.player.x - 20, sim.player.y + 100, 200));
+  step(sim);
+  assert.equal(sim.state, State.Playing);
+});
+
+test("moving gaps stay at their base placement for static buildings", () => {
+  const o = building(0, 120, 160);
+  assert.deepEqual(gapAt(o, 57), { gapY: 120, gapHeight: 160 });
+  const breathing = { ...o, kind: ObstacleKind.Breathe };
+  const g = gapAt(breathing, 40);
+  assert.ok(g.gapHeight <= 160 && g.gapHeight >= 100);
+  assert.ok(Math.abs(g.gapY + g.gapHeight / 2 - (120 + 80)) < 1e-9); // breathes around its center
+});
+
+test("building motion keeps the age of the last step for drawing in between", () => {
+  const sim = startedSim();
+  sim.obstacles.list.length = 0;
+  sim.obstacles.list.push(building(300));
+  sim.active.slow = 5000; // the machinery ages slower than a step at a time
+  step(sim);
+  step(sim);
+  const o = sim.obstacles.list[0];
+  assert.ok(o.age > o.prevAge && o.age - o.prevAge < 1);
+});
+
+test("world speed is how far the buildings move each step, Slow included", () => {
+  const sim = startedSim();
+  sim.obstacles.list.length = 0;
+  sim.obstacles.list.push(building(300));
+  assert.equal(sim.worldSpeed, sim.obstacles.speed);
+  sim.active.slow = 5000;
+  assert.ok(sim.worldSpeed < sim.obstacles.speed);
+  const speed = sim.worldSpeed;
+  step(sim);
+  assert.equal(sim.obstacles.list[0].x, 300 - speed);
+});
+
+test("state machine: menu, play, pause, countdown, resume, game over, restart", () => {
+  const sim = createSimulation();
+  const events = [];
+  for (const type of ["runStart", "pause", "resume"]) sim.on(type, () => events.push(type));
+  assert.equal(sim.state, State.Menu);
+
+  sim.handleAction();
+  assert.equal(sim.state, State.Playing);
+  assert.equal(sim.player.vy, -9.8); // starting from the menu throws a web right away
+
+  sim.pauseGame();
+  assert.equal(sim.state, State.Paused);
+  const stepsBefore = sim.simStep;
+  step(sim);
+  assert.equal(sim.simStep, stepsBefore); // frozen while paused
+
+  sim.handleAction(); // tap starts the countdown
+  assert.equal(sim.resumeCountdownMs, 3000);
+  sim.updateResumeCountdown(2999);
+  assert.equal(sim.state, State.Paused);
+  sim.updateResumeCountdown(1);
+  assert.equal(sim.state, State.Playing);
+
+  sim.togglePause();
+  sim.togglePause(); // countdown running
+  sim.togglePause(); // pausing again cancels it
+  assert.equal(sim.state, State.Paused);
+  assert.equal(sim.resumeCountdownMs, 0);
+  sim.togglePause();
+  sim.updateResumeCountdown(3000);
+
+  sim.player.y = 790;
+  step(sim);
+  finishDying(sim);
+  assert.equal(sim.state, State.GameOver);
+  sim.handleAction();
+  assert.equal(sim.state, State.Playing);
+  assert.equal(sim.score, 0);
+  assert.deepEqual(events, ["runStart", "pause", "resume", "pause", "resume", "runStart"]);
+});
+
+test("the scores screen returns where it was opened from", () => {
+  const sim = createSimulation();
+  sim.openScores(State.Menu);
+  assert.equal(sim.state, State.Scores);
+  sim.handleAction();
+  assert.equal(sim.state, State.Menu);
+});
+
+test("settings open from the menu only and close back to it", () => {
+  const sim = createSimulation();
+  sim.openSettings();
+  assert.equal(sim.state, State.Settings);
+  sim.handleAction();
+  assert.equal(sim.state, State.Menu);
+  sim.handleAction();
+  sim.openSettings(); // ignored mid-run
+  assert.equal(sim.state, State.Playing);
+});
+
+test("event listeners can unsubscribe", () => {
+  const sim = startedSim();
+  let calls = 0;
+  const off = sim.on("score", () => calls++);
+  pushPassed(sim, 1);
+  step(sim);
+  off();
+  pushPassed(sim, 1);
+  step(sim);
+  assert.equal(calls, 1);
+});
+
+test("web throws cost energy and fizzle when the tank is empty", () => {
+  const sim = startedSim();
+  let fizzles = 0;
+  sim.on("fizzle", () => fizzles++);
+  sim.player.webEnergy = 0;
+  sim.handleAction();
+  assert.equal(fizzles, 1);
+  assert.ok(sim.webFizzle);
+  assert.equal(sim.player.vy, 0);
+});
+
+test("hold-to-rise climbs while held and falls once let go", () => {
+  const sim = createSimulation();
+  sim.fixedSeed = 1;
+  sim.holdToRise = true;
+  sim.startGameWithDifficulty(Difficulty.Medium, true);
+  assert.equal(sim.holding, true);
+  sim.obstacles.list.length = 0;
+  const startY = sim.player.y;
+  for (let i = 0; i < 10; i++) step(sim);
+  assert.ok(sim.player.y < startY);
+  assert.equal(sim.player.vy, -HOLD_RISE_SPEED);
+  sim.handleRelease();
+  step(sim);
+  assert.ok(sim.player.vy > -HOLD_RISE_SPEED);
+  sim.handleAction();
+  sim.pauseGame(); // pausing lets go, the release would be missed
+  assert.equal(sim.holding, false);
+});
+
+test("pausing a swing lets go of the rope", () => {
+  const sim = createSimulation();
+  sim.fixedSeed = 1;
+  sim.selectedMode = GameMode.Swing;
+  sim.startGameWithDifficulty(Difficulty.Medium, true);
+  assert.ok(sim.tether);
+  sim.pauseGame();
+  sim.handleRelease(); // the key-up while paused is ignored
+  sim.resumeGame();
+  sim.updateResumeCountdown(3000);
+  assert.equal(sim.state, State.Playing);
+  assert.equal(sim.tether, null);
+});
+
+test("hold-to-rise spends web fluid and lets go when it runs dry", () => {
+  const sim = createSimulation();
+  sim.fixedSeed = 1;
+  sim.holdToRise = true;
+  sim.startGameWithDifficulty(Difficulty.Medium, true);
+  const cost = DifficultyPresets[Difficulty.Medium].webCost;
+  assert.equal(sim.player.webEnergy, 100 - cost);
+  sim.obstacles.list.length = 0;
+  sim.player.y = 700; // room to climb
+  let energy = sim.player.webEnergy;
+  step(sim);
+  assert.ok(sim.player.webEnergy < energy);
+  for (let i = 0; i < 1000 && sim.holding; i++) step(sim);
+  assert.equal(sim.holding, false);
+  assert.equal(sim.player.webEnergy, 0);
+  let fizzles = 0;
+  sim.on("fizzle", () => fizzles++);
+  sim.handleAction(); // nothing left to climb on
+  assert.equal(fizzles, 1);
+  assert.equal(sim.holding, false);
+  energy = sim.player.webEnergy;
+  step(sim);
+  assert.ok(sim.player.webEnergy > energy); // refills once let go
+});
+
+// Simple bot: throw a web whenever the spider sinks below the middle
+function playUntilOver(sim, bot, maxSteps = 20000) {
+  for (let i = 0; i < maxSteps && sim.state === State.Playing; i++) {
+    if (bot) bot(sim, i);
+    step(sim);
+  }
+  finishDying(sim);
+}
+
+function classicBot(sim) {
+  if (sim.player.y > 420 && sim.player.vy > 0) sim.handleAction();
+}
+
+function swingBot(sim, i) {
+  if (i % 50 === 0) sim.handleAction();
+  if (i % 50 === 30) sim.handleRelease();
+}
+
+// Hold-to-rise: climb while in the lower half
+function holdBot(sim) {
+  if (sim.player.y > 420 && !sim.holding) sim.handleAction();
+  if (sim.player.y < 300 && sim.holding) sim.handleRelease();
+}
+
+for (const [name, mode, bot, holdToRise] of [
+  [GameMode.Classic, GameMode.Classic, classicBot, false],
+  [GameMode.Swing, GameMode.Swing, swingBot, false],
+  ["hold-to-rise", GameMode.Classic, holdBot, true],
+]) {
+  test(`replays re-simulate a ${name} run exactly`, () => {
+    const sim = createSimulation();
+    sim.fixedSeed = 1234;
+    sim.selectedMode = mode;
+    sim.holdToRise = holdToRise;
+    sim.startGameWithDifficulty(Difficulty.Hard, true);
+    playUntilOver(sim, bot);
+    assert.equal(sim.state, State.GameOver);
+    const recorded = sim.lastRun;
+    assert.ok(recorded.events.length > 1);
+
+    const replay = parseReplay(JSON.parse(JSON.stringify(recorded)));
+    assert.ok(replay);
+    const runs = [];
+    sim.on("gameOver", (run) => runs.push(run));
+    sim.selectedDifficulty = Difficulty.Easy; // the menu moved on since
+    sim.startReplay(replay);
+    sim.handleAction(); // player input is ignored while watching
+    playUntilOver(sim);
+    assert.equal(sim.state, State.GameOver);
+    assert.equal(sim.score, recorded.score);
+    assert.equal(sim.simStep, recorded.steps);
+    assert.equal(runs[0].replay, true);
+    assert.equal(runs[0].difficulty, Difficulty.Hard);
+    assert.equal(runs[0].seed, 1234);
+    assert.equal(sim.lastRun, recorded); // watching does not overwrite the last run
+  });
+}
+
+test("replay files with out-of-order steps or unknown actions are refused", () => {
+  const file = {
+    version: REPLAY_VERSION,
+    seed: 7,
+    difficulty: Difficulty.Medium,
+    mode: GameMode.Classic,
+    score: 3,
+    steps: 400,
+    events: [[0, "web"], [40, "hold"], [90, "release"]],
+  };
+  assert.deepEqual(parseReplay(file).events, file.events);
+  assert.equal(parseReplay({ ...file, events: [[40, "web"], [0, "web"]] }), null);
+  assert.equal(parseReplay({ ...file, events: [[0, "web"], [40, "jump"]] }), null);
+  assert.equal(parseReplay({ ...file, events: [[0, 1]] }), null);
+});
+
+test("Play Again starts from phase 0, so its replay matches", () => {
+  const sim = createSimulation();
+  sim.fixedSeed = 1234;
+  sim.startGameWithDifficulty(Difficulty.Hard, true);
+  pushPassed(sim, 30);
+  step(sim);
+  assert.equal(sim.currentPhase, 1);
+  playUntilOver(sim, classicBot);
+  sim.restart();
+  assert.equal(sim.currentPhase, 0);
+  playUntilOver(sim, classicBot);
+  const recorded = sim.lastRun;
+
+  sim.startReplay(parseReplay(JSON.parse(JSON.stringify(recorded))));
+  playUntilOver(sim);
+  assert.equal(sim.score, recorded.score);
+  assert.equal(sim.simStep, recorded.steps);
+});
+
+test("game over reports the phase this run reached, not the last one's", () => {
+  const sim = startedSim();
+  const runs = [];
+  sim.on("gameOver", (run) => runs.push(run));
+  pushPassed(sim, 40);
+  step(sim);
+  playUntilOver(sim);
+  assert.equal(runs[0].phase, 1);
+  sim.restart();
+  pushPassed(sim, 2);
+  step(sim);
+  playUntilOver(sim);
+  assert.equal(runs[1].score, 2);
+  assert.equal(runs[1].phase, 0);
+});
@@ -0,0 +1,40 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { highContrastColors } from "../src/theme.js";
+
+// WCAG relative luminance of a #rrggbb color
+function luminance(hex) {
+  const [r, g, b] = [1, 3, 5].map((i) => {
+    const c = parseInt(hex.slice(i, i + 2), 16) / 255;
+    return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrast(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+test("high contrast buildings stand out from the sky and skyline", () => {
+  const c = highContrastColors;
+  for (const building of c.buildingPalette) {
+    for (const backdrop of [c.bgTop, c.bgMid, c.bgBot, c.skylineFar, c.skylineNear]) {
+      assert.ok(contrast(building, backdrop) >= 7, `${building} on ${backdrop}`);
+    }
+  }
+  assert.ok(contrast(c.groundTop, c.bgBot) >= 7);
+});
+
+test("high contrast HUD, web strands and rings read on the sky and every building", () => {
+  const c = highContrastColors;
+  // Strands and rings are hudPrimary, drawn over a hudOutline edge
+  for (const color of [c.hudPrimary, c.hudSecondary]) {
+    for (const behind of [c.bgTop, c.bgMid, c.bgBot, ...c.buildingPalette]) {
+      const best = Math.max(contrast(color, behind), contrast(c.hudOutline, behind));
+      assert.ok(best >= 7, `${color} on ${behind}`);
+    }
+    assert.ok(contrast(color, c.hudOutline) >= 7, `${color} on its outline`);
+  }
+});
@@ -0,0 +1,79 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  seededRandom,
+  parseSeed,
+  shrinkRect,
+  mod,
+  rayRectDistance,
+  circleCircleCollision,
+  circleRectCollision,
+  nearestInDirection,
+} from "../src/util.js";
+
+test("circleRectCollision detects overlap, edge contact and separation", () => {
+  assert.equal(circleRectCollision(50, 50, 10, 40, 40, 20, 20), true); // center inside
+  assert.equal(circleRectCollision(35, 50, 10, 40, 40, 20, 20), true); // poking in from the left
+  assert.equal(circleRectCollision(30, 50, 10, 40, 40, 20, 20), false); // exactly touching
+  assert.equal(circleRectCollision(32, 32, 10, 40, 40, 20, 20), false); // near a corner, outside
+});
+
+test("circleCircleCollision uses the sum of both radii", () => {
+  assert.equal(circleCircleCollision(0, 0, 5, 8, 0, 4), true);
+  assert.equal(circleCircleCollision(0, 0, 5, 9, 0, 4), false);
+});
+
+test("shrinkRect pads inward, grows with negative padding and clamps", () => {
+  assert.deepEqual(shrinkRect(0, 0, 100, 50, 8), { x: 8, y: 8, w: 84, h: 34 });
+  assert.deepEqual(shrinkRect(10, 10, 20, 20, -2), { x: 8, y: 8, w: 24, h: 24 });
+  assert.deepEqual(shrinkRect(0, 0, 10, 10, 50), { x: 20, y: 20, w: 0, h: 0 });
+});
+
+test("seededRandom repeats per seed and stays in [0, 1)", () => {
+  const a = seededRandom(42);
+  const b = seededRandom(42);
+  for (let i = 0; i < 100; i++) {
+    const v = a();
+    assert.equal(v, b());
+    assert.ok(v >= 0 && v < 1);
+  }
+  assert.notEqual(seededRandom(1)(), seededRandom(2)());
+  // zero would lock xorshift at zero forever
+  const zero = seededRandom(0);
+  assert.notEqual(zero(), zero());
+});
+
+test("parseSeed keeps numbers and hashes text", () => {
+  assert.equal(parseSeed("12345"), 12345);
+  assert.equal(parseSeed(" 7 "), 7);
+  assert.equal(parseSeed(""), null);
+  assert.equal(parseSeed(null), null);
+  assert.equal(parseSeed("spider"), parseSeed("spider"));
+  assert.notEqual(parseSeed("spider"), parseSeed("Spider"));
+});
+
+test("mod stays positive for negative inputs", () => {
+  assert.equal(mod(-1, 480), 479);
+  assert.equal(mod(960, 480), 0);
+});
+
+test("rayRectDistance finds the first hit or null", () => {
+  assert.equal(rayRectDistance(0, 5, 1, 0, 10, 0, 10, 10), 10);
+  assert.equal(rayRectDistance(0, 50, 1, 0, 10, 0, 10, 10), null);
+  assert.equal(rayRectDistance(15, 5, 1, 0, 10, 0, 10, 10), 0); // starting inside
+});
+
+test("nearestInDirection moves focus around a button grid", () => {
+  // two side by side, one wide button below
+  const boxes = [
+    { x: 0, y: 0, w: 100, h: 40 },
+    { x: 110, y: 0, w: 100, h: 40 },
+    { x: 0, y: 50, w: 210, h: 40 },
+  ];
+  assert.equal(nearestInDirection(boxes, 0, 1, 0), 1);
+  assert.equal(nearestInDirection(boxes, 1, -1, 0), 0);
+  assert.equal(nearestInDirection(boxes, 1, 0, 1), 2);
+  assert.equal(nearestInDirection(boxes, 2, 0, -1), 0); // tie goes to the first
+  assert.equal(nearestInDirection(boxes, 0, 0, -1), 0); // nothing above: stay
+});
@@ -0,0 +1,38 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { encodeWav } from "../src/wav.js";
+
+function fakeBuffer(channels, sampleRate) {
+  return {
+    numberOfChannels: channels.length,
+    sampleRate,
+    length: channels[0].length,
+    getChannelData: (i) => Float32Array.from(channels[i]),
+  };
+}
+
+const ascii = (view, offset, n) =>
+  String.fromCharCode(...Array.from({ length: n }, (_, i) => view.getUint8(offset + i)));
+
+test("the header describes 16-bit PCM at the buffer's rate and channels", () => {
+  const view = new DataView(encodeWav(fakeBuffer([[0, 0, 0], [0, 0, 0]], 22050)));
+  assert.equal(view.byteLength, 44 + 3 * 2 * 2);
+  assert.equal(ascii(view, 0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), view.byteLength - 8);
+  assert.equal(ascii(view, 8, 8), "WAVEfmt ");
+  assert.equal(view.getUint16(20, true), 1);
+  assert.equal(view.getUint16(22, true), 2);
+  assert.equal(view.getUint32(24, true), 22050);
+  assert.equal(view.getUint32(28, true), 22050 * 4);
+  assert.equal(view.getUint16(34, true), 16);
+  assert.equal(ascii(view, 36, 4), "data");
+  assert.equal(view.getUint32(40, true), 12);
+});
+
+test("samples interleave by channel and clip to full scale", () => {
+  const view = new DataView(encodeWav(fakeBuffer([[1, -1, 2], [0.5, -2, 0]], 44100)));
+  const samples = [];
+  for (let offset = 44; offset < view.byteLength; offset += 2) samples.push(view.getInt16(offset, true));
+  assert.deepEqual(samples, [32767, 16383, -32768, -32768, 32767, 0]);
+});